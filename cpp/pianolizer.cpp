@@ -1,3 +1,4 @@
+#include <string>
 #include "emscripten/bind.h"
 #include "pianolizer.hpp"
 
@@ -7,6 +8,7 @@ class Pianolizer {
   private:
     std::shared_ptr<Tuning> tuning;
     std::unique_ptr<SlidingDFT> slidingDFT;
+    std::unique_ptr<HarmonicSuppressor> harmonicSuppressor;
 
   public:
     Pianolizer(
@@ -14,21 +16,95 @@ class Pianolizer {
       const unsigned keysNum = 61,
       const unsigned referenceKey = 33,
       const double pitchFork = 440.0,
-      const double tolerance = 1.
+      const double tolerance = 1.,
+      const double harmonicSuppression = 0.,
+      const val mapping = val::null()
     ) {
-      tuning = std::make_shared<PianoTuning>(
-        sampleRate,
-        keysNum,
-        referenceKey,
-        pitchFork,
-        tolerance
-      );
+      if (!mapping.isNull() && !mapping.isUndefined()) {
+        std::vector<Tuning::tuningValues> precomputed;
+        const unsigned length = mapping["length"].as<unsigned>();
+        for (unsigned i = 0; i < length; i++) {
+          const val frequency = mapping[i]["frequency"];
+          precomputed.push_back({
+            mapping[i]["k"].as<unsigned>(),
+            mapping[i]["N"].as<unsigned>(),
+            frequency.isUndefined() ? 0. : frequency.as<double>()
+          });
+        }
+        tuning = std::make_shared<MappedTuning>(sampleRate, precomputed);
+      } else {
+        tuning = std::make_shared<PianoTuning>(
+          sampleRate,
+          keysNum,
+          referenceKey,
+          pitchFork,
+          tolerance
+        );
+      }
       slidingDFT = std::make_unique<SlidingDFT>(tuning, -1.);
+      harmonicSuppressor = std::make_unique<HarmonicSuppressor>(tuning->bands, harmonicSuppression);
+    }
+
+    double getHarmonicSuppression() const {
+      return harmonicSuppressor->strength;
+    }
+
+    void setHarmonicSuppression(const double strength) {
+      harmonicSuppressor->strength = strength;
+    }
+
+    std::string getOutputMode() const {
+      switch (slidingDFT->outputMode) {
+        case SlidingDFT::OutputMode::SQRT:
+          return "sqrt";
+        case SlidingDFT::OutputMode::AMPLITUDE:
+          return "amplitude";
+        case SlidingDFT::OutputMode::DECIBELS:
+          return "decibels";
+        default:
+          return "normalized";
+      }
+    }
+
+    void setOutputMode(const std::string outputMode) {
+      if (outputMode == "normalized")
+        slidingDFT->outputMode = SlidingDFT::OutputMode::NORMALIZED;
+      else if (outputMode == "sqrt")
+        slidingDFT->outputMode = SlidingDFT::OutputMode::SQRT;
+      else if (outputMode == "amplitude")
+        slidingDFT->outputMode = SlidingDFT::OutputMode::AMPLITUDE;
+      else if (outputMode == "decibels")
+        slidingDFT->outputMode = SlidingDFT::OutputMode::DECIBELS;
+      else
+        throw std::invalid_argument("output mode must be one of: normalized, sqrt, amplitude, decibels");
+    }
+
+    double getDecibelFloor() const {
+      return slidingDFT->decibelFloor;
+    }
+
+    void setDecibelFloor(const double decibelFloor) {
+      slidingDFT->decibelFloor = decibelFloor;
+    }
+
+    bool getPitchTracking() const {
+      return slidingDFT->pitchTracking;
+    }
+
+    void setPitchTracking(const bool pitchTracking) {
+      slidingDFT->pitchTracking = pitchTracking;
+    }
+
+    val cents() {
+      return val(typed_memory_view(tuning->bands, slidingDFT->cents.data()));
     }
 
     val process(const uintptr_t samplesPtr, const unsigned samplesLength, const double averageWindowInSeconds = 0.) {
       auto samples = reinterpret_cast<float*>(samplesPtr);
       auto levels = slidingDFT->process(samples, samplesLength, averageWindowInSeconds);
+      // HarmonicSuppressor expects the squared levels
+      if (slidingDFT->outputMode == SlidingDFT::OutputMode::NORMALIZED)
+        levels = harmonicSuppressor->process(levels);
       return val(typed_memory_view(tuning->bands, levels));
     }
 };
@@ -40,7 +116,14 @@ EMSCRIPTEN_BINDINGS(CLASS_Pianolizer) {
         const unsigned,
         const unsigned,
         const double,
-        const double
+        const double,
+        const double,
+        const val
       >()
+      .property("harmonicSuppression", &Pianolizer::getHarmonicSuppression, &Pianolizer::setHarmonicSuppression)
+      .property("outputMode", &Pianolizer::getOutputMode, &Pianolizer::setOutputMode)
+      .property("decibelFloor", &Pianolizer::getDecibelFloor, &Pianolizer::setDecibelFloor)
+      .property("pitchTracking", &Pianolizer::getPitchTracking, &Pianolizer::setPitchTracking)
+      .function("cents", &Pianolizer::cents)
       .function("process", &Pianolizer::process, allow_raw_pointers());
 }
\ No newline at end of file
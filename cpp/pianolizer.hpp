@@ -9,6 +9,7 @@
 #pragma once
 
 #define _USE_MATH_DEFINES
+#include <algorithm>
 #include <cmath>
 #include <complex>
 #include <cstring>
@@ -196,6 +197,47 @@ class DFTBin {
     double logarithmicUnitDecibels() {
       return 20. * std::log10(amplitudeSpectrum() / referenceAmplitude);
     }
+
+    /**
+     * Phase of the DFT, in radians.
+     *
+     * @memberof DFTBin
+     */
+    double phase() {
+      return std::arg(dft);
+    }
+
+    /**
+     * Estimate the instantaneous frequency from the phase advance since the previous measurement (the phase vocoder technique).
+     *
+     * @param previousPhase Value of phase() hop samples ago.
+     * @param hop How many samples were processed since.
+     * @return Frequency, in cycles per sample (multiply by the sample rate to get Hz).
+     * @memberof DFTBin
+     */
+    double instantaneousFrequency(const double previousPhase, const double hop) {
+      return phaseAdvanceToFrequency(phase() - previousPhase, k, N, hop);
+    }
+
+    /**
+     * The phase rotates by -2 * PI * k / N per sample at the bin center frequency (the coefficient is e^(-2 * PI * i * k / N));
+     * the excess rotation is the frequency deviation.
+     * Unambiguous as long as the tone is within sampleRate / (2 * hop) Hz of the bin center.
+     *
+     * @param phaseAdvance Phase difference between the measurements, in radians.
+     * @param k Frequency divided by the bandwidth.
+     * @param N Sample rate divided by the bandwidth.
+     * @param hop How many samples apart the measurements are.
+     * @return Frequency, in cycles per sample.
+     * @memberof DFTBin
+     */
+    static double phaseAdvanceToFrequency(const double phaseAdvance, const double k, const double N, const double hop) {
+      const double expected = 2. * M_PI * k / N * hop;
+      const double deviation = -phaseAdvance - expected;
+      // principal value, from -PI to PI
+      const double wrapped = deviation - 2. * M_PI * std::round(deviation / (2. * M_PI));
+      return (expected + wrapped) / (2. * M_PI * hop);
+    }
 };
 
 /**
@@ -390,6 +432,7 @@ class Tuning {
     unsigned sampleRate, bands;
     struct tuningValues {
       unsigned k, N;
+      double frequency = 0.; // nominal frequency of the key (0 when unknown)
     };
 
     /**
@@ -432,6 +475,37 @@ class Tuning {
     const virtual std::vector<tuningValues> mapping() = 0;
 };
 
+/**
+ * Tuning with a precomputed mapping (for instance, the temperaments & Scala tunings computed by the JS library).
+ *
+ * @class MappedTuning
+ * @extends Tuning
+ */
+class MappedTuning : public Tuning {
+  private:
+    std::vector<tuningValues> precomputed;
+
+  public:
+    /**
+     * Creates an instance of MappedTuning.
+     * @param sampleRate_ Self-explanatory.
+     * @param mapping_ tuningValues structs, one per band.
+     * @memberof MappedTuning
+     */
+    MappedTuning(const unsigned sampleRate_, const std::vector<tuningValues>& mapping_)
+      : Tuning{ sampleRate_, static_cast<unsigned>(mapping_.size()) }, precomputed(mapping_)
+    {}
+
+    /**
+     * Returns the precomputed array of tuningValues structs.
+     *
+     * @memberof MappedTuning
+     */
+    const std::vector<tuningValues> mapping() {
+      return precomputed;
+    }
+};
+
 /**
  * Essentially, creates an instance that provides the 'mapping',
  * which is an array of objects providing the values for i, k & N.
@@ -500,7 +574,9 @@ class PianoTuning : public Tuning {
       for (unsigned key = 0; key < bands; key++) {
         const double frequency = keyToFreq(key);
         const double bandwidth = 2. * (keyToFreq(key + .5 * tolerance) - frequency);
-        output.push_back(frequencyAndBandwidthToKAndN(frequency, bandwidth));
+        auto values = frequencyAndBandwidthToKAndN(frequency, bandwidth);
+        values.frequency = frequency;
+        output.push_back(values);
       }
       return output;
     }
@@ -521,34 +597,66 @@ class PianoTuning : public Tuning {
  * float *output = nullptr;
  * // just process; no moving average
  * output = slidingDFT.process(input);
+ * // switch to dBFS, with -60dB floor
+ * slidingDFT.outputMode = SlidingDFT::OutputMode::DECIBELS;
+ * slidingDFT.decibelFloor = -60.;
  */
 class SlidingDFT {
   private:
     std::vector<std::shared_ptr<DFTBin>> bins;
     std::vector<float> levels;
     std::unique_ptr<RingBuffer> ringBuffer;
+    std::vector<double> frequency, previousPhase, estimatedFrequency;
+    bool hasPreviousPhase = false;
 #ifndef DISABLE_MOVING_AVERAGE
     std::shared_ptr<MovingAverage> movingAverage;
 #endif
 
   public:
+    /**
+     * Output scales:
+     * NORMALIZED is the squared normalized amplitude spectrum, between 0.0 and 1.0 (default; best for visualization);
+     * SQRT is the normalized amplitude spectrum, between 0.0 and 1.0 (same as the `-y` option of the CLI utility);
+     * AMPLITUDE is the amplitude spectrum in RMS units of the input (a full-scale sine wave is 0.707);
+     * DECIBELS is the amplitude spectrum in dBFS (a full-scale sine wave is 0dB), clamped by the decibelFloor.
+     */
+    enum class OutputMode { NORMALIZED, SQRT, AMPLITUDE, DECIBELS };
+
     unsigned sampleRate, bands;
+    OutputMode outputMode;
+    double decibelFloor;
+    bool pitchTracking;
+    // deviation of every key from its nominal frequency, in cents; parallel to the levels, updated when pitchTracking is enabled
+    std::vector<float> cents;
 
     /**
      * Creates an instance of SlidingDFT.
      * @param tuning Tuning instance (a class derived from Tuning; for instance, PianoTuning).
      * @param [maxAverageWindowInSeconds=0] Positive values are passed to MovingAverage implementation; negative values trigger FastMovingAverage implementation. Zero disables averaging.
+     * @param [outputMode=NORMALIZED] Scale of the output levels (can be updated on-fly).
+     * @param [decibelFloor=-96] Lowest level in the DECIBELS output mode.
+     * @param [pitchTracking=false] Estimate the deviation of every key from its nominal frequency (see cents).
      * @memberof SlidingDFT
      */
-    SlidingDFT(const std::shared_ptr<Tuning> tuning, const double maxAverageWindowInSeconds = 0.) {
+    SlidingDFT(
+      const std::shared_ptr<Tuning> tuning,
+      const double maxAverageWindowInSeconds = 0.,
+      const OutputMode outputMode_ = OutputMode::NORMALIZED,
+      const double decibelFloor_ = -96.,
+      const bool pitchTracking_ = false
+    ) : outputMode(outputMode_), decibelFloor(decibelFloor_), pitchTracking(pitchTracking_) {
       sampleRate = tuning->sampleRate;
       bands = tuning->bands;
       bins.reserve(bands);
       levels.reserve(bands);
+      cents.assign(bands, 0.f);
+      frequency.reserve(bands);
 
       unsigned maxN = 0;
       for (auto band : tuning->mapping()) {
         bins.push_back(std::make_shared<DFTBin>(band.k, band.N));
+        // nominal frequency of the key; the bin center is just an approximation
+        frequency.push_back(band.frequency > 0. ? band.frequency : static_cast<double>(sampleRate) * band.k / band.N);
         maxN = std::max(maxN, band.N);
       }
 
@@ -577,7 +685,7 @@ class SlidingDFT {
      *
      * @param samples Array with the batch of samples to process. Value range is irrelevant (can be from -1.0 to 1.0 or 0 to 255 or whatever, as long as it is consistent).
      * @param [averageWindowInSeconds=0] Adjust the moving average window size.
-     * @return Snapshot of the *squared* levels after processing all the samples. Value range is between 0.0 and 1.0. Depending on the application, you might need sqrt() of the level values (for visualization purposes it is actually better as is).
+     * @return Snapshot of the levels after processing all the samples, in the scale defined by outputMode (by default, *squared* levels between 0.0 and 1.0; for visualization purposes it is actually better as is).
      * @memberof SlidingDFT
      */
     const float* process(const float samples[], const size_t samplesLength, const double averageWindowInSeconds = 0.) {
@@ -587,6 +695,8 @@ class SlidingDFT {
 #endif
 
       const unsigned binsNum = bins.size();
+      // the moving average runs on the linear scales; sqrt & dB are applied to the snapshot
+      const bool amplitudeMode = outputMode == OutputMode::AMPLITUDE || outputMode == OutputMode::DECIBELS;
 
       // store in the ring buffer & process
       for (unsigned i = 0; i < samplesLength; i++) {
@@ -597,8 +707,9 @@ class SlidingDFT {
         for (auto bin : bins) {
           const float previousSample = ringBuffer->read(bin->N);
           bin->update(previousSample, currentSample);
-          levels[band] = bin->normalizedAmplitudeSpectrum();
-          // levels[band] = bin->logarithmicUnitDecibels();
+          levels[band] = amplitudeMode
+            ? bin->amplitudeSpectrum()
+            : bin->normalizedAmplitudeSpectrum();
           band++;
         }
 
@@ -615,6 +726,126 @@ class SlidingDFT {
           levels[band] = movingAverage->read(band);
 #endif
 
+      if (pitchTracking)
+        updateCents(samplesLength, averageWindowInSeconds);
+      else
+        hasPreviousPhase = false;
+
+      if (outputMode == OutputMode::SQRT) {
+        for (unsigned band = 0; band < binsNum; band++)
+          levels[band] = std::sqrt(levels[band]);
+      } else if (outputMode == OutputMode::DECIBELS) {
+        // 0dBFS is the RMS amplitude of the full-scale sine wave
+        for (unsigned band = 0; band < binsNum; band++)
+          levels[band] = std::max(decibelFloor, 20. * std::log10(M_SQRT2 * levels[band]));
+      }
+
+      return levels.data();
+    }
+
+    /**
+     * Estimate the frequency of every bin from the phase advance since the previous process() call.
+     * Unambiguous while the tone is within sampleRate / (2 * hop) Hz of the bin center (±172Hz for 128 samples at 44100Hz).
+     * The estimates wobble due to the mirror image of the tone (most noticeable on the lower keys), so they are smoothed.
+     *
+     * @param hop How many samples were processed since the previous call.
+     * @param [averageWindowInSeconds=0] Smoothing time constant; 0 disables smoothing.
+     * @memberof SlidingDFT
+     */
+    void updateCents(const size_t hop, const double averageWindowInSeconds = 0.) {
+      const bool isFirst = !hasPreviousPhase;
+      if (isFirst) {
+        previousPhase.assign(bands, 0.);
+        estimatedFrequency = frequency;
+        hasPreviousPhase = true;
+      }
+
+      const double smoothing = averageWindowInSeconds > 0.
+        ? std::min(1., hop / (averageWindowInSeconds * sampleRate))
+        : 1.;
+      for (unsigned band = 0; band < bands; band++) {
+        const double phase = bins[band]->phase();
+        if (!isFirst && hop > 0) {
+          const double estimated = bins[band]->instantaneousFrequency(previousPhase[band], hop) * sampleRate;
+          estimatedFrequency[band] += smoothing * (estimated - estimatedFrequency[band]);
+          cents[band] = estimatedFrequency[band] > 0.
+            ? 1200. * std::log2(estimatedFrequency[band] / frequency[band])
+            : 0.;
+        }
+        previousPhase[band] = phase;
+      }
+    }
+};
+
+/**
+ * Removes the "ghost notes" lit by the overtones of the notes actually played.
+ * The energy expected at the octave, twelfth & double-octave partials of every key is taken away from them and
+ * attributed back to the (likely) fundamental. Expected partial levels follow the harmonic series of a sawtooth
+ * wave (the level of the n-th partial is 1/n² of the fundamental), scaled by the strength.
+ *
+ * @class HarmonicSuppressor
+ * @par EXAMPLE
+ * auto harmonicSuppressor = HarmonicSuppressor(61);
+ * // for every processed frame
+ * const float *output = harmonicSuppressor.process(slidingDFT.process(input, 128));
+ */
+class HarmonicSuppressor {
+  private:
+    struct partial {
+      unsigned offset;
+      double ratio;
+    };
+    // partial offsets, in semitones, and their expected level relative to the fundamental
+    const std::vector<partial> partials = {
+      { 12, 1. / 4. }, // octave
+      { 19, 1. / 9. }, // twelfth
+      { 24, 1. / 16. } // double octave
+    };
+    std::vector<float> levels;
+
+  public:
+    unsigned bands;
+    double strength;
+
+    /**
+     * Creates an instance of HarmonicSuppressor.
+     * @param bands_ Number of keys; the levels are expected to be one semitone apart.
+     * @param [strength=1.0] Multiplier of the expected partial levels; 0 disables the suppression.
+     * @memberof HarmonicSuppressor
+     */
+    HarmonicSuppressor(const unsigned bands_, const double strength_ = 1.)
+      : levels(bands_), bands(bands_), strength(strength_)
+    {}
+
+    /**
+     * Suppress the partials, from the lowest key up.
+     *
+     * @param input Snapshot of the *squared* levels, as returned by SlidingDFT.
+     * @return Levels with the partials suppressed (the input itself when the strength is 0).
+     * @memberof HarmonicSuppressor
+     */
+    const float* process(const float input[]) {
+      if (strength <= 0.)
+        return input;
+
+      std::copy(input, input + bands, levels.begin());
+      for (unsigned key = 0; key < bands; key++) {
+        const float fundamental = levels[key];
+        if (fundamental == 0.f)
+          continue;
+
+        float attributed = 0.f;
+        for (auto p : partials) {
+          const unsigned harmonic = key + p.offset;
+          if (harmonic >= bands)
+            break;
+          const float ghost = std::min(levels[harmonic], static_cast<float>(strength * p.ratio * fundamental));
+          levels[harmonic] -= ghost;
+          attributed += ghost;
+        }
+        levels[key] = std::min(fundamental + attributed, 1.f);
+      }
+
       return levels.data();
     }
 };
@@ -146,6 +146,15 @@ TEST(PianoTuning, DFTValues) {
   EXPECT_EQ(static_cast<int>(m[60].N), 358) << "C7 N";
 }
 
+TEST(MappedTuning, Passthrough) {
+  auto mt = MappedTuning(SAMPLE_RATE, { { 17, 11462 }, { 17, 1704 } });
+  auto m = mt.mapping();
+
+  EXPECT_EQ(mt.bands, static_cast<unsigned>(2)) << "bands";
+  EXPECT_EQ(static_cast<int>(m[1].k), 17) << "A4 k";
+  EXPECT_EQ(static_cast<int>(m[1].N), 1704) << "A4 N";
+}
+
 TEST(SlidingDFT, IntegrationBenchmark) {
   auto sdft = SlidingDFT(make_shared<PianoTuning>(SAMPLE_RATE), -1.);
   const unsigned bufferSize = 128;
@@ -176,3 +185,57 @@ TEST(SlidingDFT, IntegrationBenchmark) {
     // char buf[20]; snprintf(buf, 20, "%.16f", output[kv.first]); cerr << buf << endl;
   }
 }
+
+TEST(SlidingDFT, OutputModes) {
+  // half-scale 441Hz sine wave
+  float input[SAMPLE_RATE];
+  for (unsigned i = 0; i < SAMPLE_RATE; i++)
+    input[i] = .5 * oscillator(i, SINE);
+
+  map<SlidingDFT::OutputMode, float> test = {
+    { SlidingDFT::OutputMode::NORMALIZED, 1. },
+    { SlidingDFT::OutputMode::SQRT, 1. },
+    { SlidingDFT::OutputMode::AMPLITUDE, .5 / M_SQRT2 },
+    { SlidingDFT::OutputMode::DECIBELS, -6.0206 }
+  };
+  for (auto kv : test) {
+    auto sdft = SlidingDFT(make_shared<PianoTuning>(SAMPLE_RATE), 0., kv.first);
+    EXPECT_NEAR(sdft.process(input, SAMPLE_RATE)[33], kv.second, .05) << "output mode #" << static_cast<int>(kv.first);
+  }
+}
+
+TEST(SlidingDFT, PitchTracking) {
+  auto sdft = SlidingDFT(make_shared<PianoTuning>(SAMPLE_RATE), -1., SlidingDFT::OutputMode::NORMALIZED, -96., true);
+  const unsigned bufferSize = 128;
+  float input[bufferSize];
+
+  // A4, 445Hz instead of 440Hz: 19.56 cents sharp
+  for (unsigned i = 0; i < bufferSize * 400; i++) {
+    input[i % bufferSize] = .5 * sin(2. * M_PI * 445. * i / SAMPLE_RATE);
+    if (i % bufferSize == bufferSize - 1)
+      sdft.process(input, bufferSize, .05);
+  }
+  EXPECT_NEAR(sdft.cents[33], 19.56, .5) << "A4 cents";
+}
+
+TEST(HarmonicSuppressor, Sawtooth) {
+  // levels of the 441Hz sawtooth, as checked by SlidingDFT.IntegrationBenchmark
+  vector<float> levels(61, 0.f);
+  levels[21] = .0000176868834387;
+  levels[33] = .6048020720481872;
+  levels[45] = .1517260670661926;
+  levels[52] = .0671683400869369;
+  levels[57] = .0384454987943172;
+
+  auto hs = HarmonicSuppressor(61);
+  const float *output = hs.process(levels.data());
+
+  EXPECT_NEAR(output[45], 0., 1e-3) << "octave suppressed";
+  EXPECT_NEAR(output[52], 0., 1e-3) << "twelfth suppressed";
+  EXPECT_NEAR(output[57], 0., 1e-3) << "double octave suppressed";
+  EXPECT_NEAR(output[33], .8610, 1e-3) << "energy attributed to the fundamental";
+  EXPECT_NEAR(output[21], levels[21], ABS_ERROR) << "unrelated key untouched";
+
+  hs.strength = 0.;
+  EXPECT_EQ(hs.process(levels.data()), levels.data()) << "disabled";
+}
@@ -1,18 +1,124 @@
-import { PianoKeyboard, Spectrogram, Palette } from './visualization.js'
+import Pianolizer, {
+  NoteTracker,
+  PianoTuning,
+  JustIntonationTuning,
+  PythagoreanTuning,
+  MeantoneTuning,
+  WerckmeisterTuning,
+  KirnbergerTuning,
+  ScalaTuning
+} from './pianolizer.js'
+import { MIDIFileReader, MIDIFileWriter } from './midi-file.js'
+import { MIDIFilePlayer, MIDISynth } from './midi-player.js'
+import { extractNotes, PlayAlongScorer } from './play-along.js'
+import { MIDIInputHandler } from './midi-input.js'
+import { MIDINoteSender } from './midi-output.js'
+import { ChordRecognizer, KeyDetector, NOTE_NAMES } from './harmony.js'
+import { OnsetDetector, TempoTracker } from './rhythm.js'
+import { LevelsRing } from './levels-ring.js'
+import { LevelsRecording, LevelsPlayer } from './levels-file.js'
+import { PracticeHistory, PracticeSession, summarizePractice } from './practice-history.js'
+import { PracticeTimer } from './practice-timer.js'
+import { Tuner } from './tuner.js'
+import { VisualizationRecorder } from './recorder.js'
+import { PianoKeyboard, Spectrogram, FullSpectrogram, Palette } from './visualization.js'
 
+const RENDER_QUANTUM = 128 // samples per AudioWorkletProcessor.process() call, which posts the levels once
 const HEIGHT = 'height'
 const PUREJS = 'purejs'
 const PITCHFORK = 'pitchfork'
 const TOLERANCE = 'tolerance'
+const DIVISION = 'division'
+const TEMPO = 'tempo'
+const KEYS = 'keys'
+const LOWEST = 'lowest'
+// number of keys => MIDI note number of the lowest key
+const KEYBOARD_PRESETS = {
+  61: 36, // C2-C7
+  76: 28, // E1-G7
+  88: 21 // A0-C8
+}
+// analyzer features that the bundled WASM build (js/pianolizer-wasm.js) predates; `make emscripten` rebuilds it, then this list can go
+const WASM_MISSING_FEATURES = ['outputMode', 'harmonicSuppression', 'mapping', 'pitchTracking']
+// temperament select value => TemperamentTuning subclass
+const TEMPERAMENTS = {
+  just: JustIntonationTuning,
+  pythagorean: PythagoreanTuning,
+  meantone: MeantoneTuning,
+  werckmeister: WerckmeisterTuning,
+  kirnberger: KirnbergerTuning
+}
 const DEFAULT_PRACTICE_DURATION_MINUTES = 60
-const HIGH_CONFIDENCE_LEVEL = 0.6
+const DEFAULT_PRACTICE_THRESHOLD = 0.6
+const PRACTICE_TIMER_TICK = 250 // milliseconds
+const PRACTICE_TIMER_LABELS = {
+  ready: 'Practice Timer:',
+  running: 'Practicing:',
+  autopaused: 'Paused (silence):',
+  paused: 'Paused:',
+  break: 'Break:',
+  finished: 'Done!'
+}
+const PRACTICE_SAVE_INTERVAL = 30000 // milliseconds; at most this much of a session is lost on a crash
+// same defaults as misc/transcribe2midi.pl
+const TRANSCRIPTION_BUFFER_SIZE = 554
+const TRANSCRIPTION_SAMPLE_RATE = 46536
+const TRANSCRIPTION_KEYS = 88
+const TRANSCRIPTION_REFERENCE_KEY = 48
+const TRANSCRIPTION_SMOOTHING = 0.04
+const TRANSCRIPTION_THRESHOLD = 0.05
+const TRANSCRIPTION_MIN_LENGTH = 0.1
+const OFFLINE_SAMPLE_RATE = 44100
+const OFFLINE_ROW_DURATION = 0.01 // seconds per row of the full-length spectrogram
+// play-along grade => color of its mark on the spectrogram
+const PLAY_ALONG_COLORS = {
+  hit: '#2ecc40',
+  early: '#ffdc00',
+  late: '#ff851b',
+  wrong: '#ff4136',
+  missed: '#aaaaaa'
+}
+// levels file format => MIME type
+const LEVELS_MIME_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson'
+}
+const LEVELS_RECORDING_MAX_DURATION = 600 // seconds; the levels recording stops & downloads itself after this long
 
 let audioContext, audioSource, microphoneSource, pianolizer
-let levels, midi, palette
-let practiceTimerInterval = null
-let shouldPauseTimerCountdown = false
+let levels, channelLevels, midiInput, midiFilePart, midiLevels, palette
+let practiceTimer = null
 let practiceDurationMinutes = DEFAULT_PRACTICE_DURATION_MINUTES
-let practiceTimerRemaining = DEFAULT_PRACTICE_DURATION_MINUTES * 60
+let practiceThreshold = DEFAULT_PRACTICE_THRESHOLD
+let practiceHistory = null
+let practiceSession = null
+let practiceSaveInterval = null
+let practiceSaving = Promise.resolve()
+let audioFileName = 'mazurka.mp3'
+let chordRecognizer
+let renderedChord = null
+let keyDetector
+let onsetDetector
+let tempoTracker
+let beatPending = false
+let levelsRing = null
+let levelsFrame = 0 // audio time of the latest levels, in samples
+let spectrogram, fullSpectrogram, recorder
+let analyzedSource = null
+let microphoneConnected = false // the play-along grades the microphone input, which the MIDI file source keeps
+let levelsRecording = null
+let levelsRecordingStart = 0 // audio time when the levels recording started, in seconds
+let levelsPlayer = null
+let midiFilePlayer = null
+let midiSynth = null
+let playAlongScorer = null
+let midiInputPorts = null
+let midiOutputPorts = null
+let midiSender = null
+let tuner = null
+let tunerAmplitudes = null
+let tunerCents = null // from the worklet, when the analyzer tracks the pitch
 
 const audioElement = document.getElementById('input')
 const playToggle = document.getElementById('play-toggle')
@@ -22,88 +128,613 @@ const configurationBackdrop = document.getElementById('configuration-backdrop')
 const configurationPanel = document.getElementById('configuration')
 const configurationClose = document.getElementById('configuration-close')
 const rotationInput = document.getElementById('rotation')
+const secondsPerRowSelect = document.getElementById('seconds-per-row')
 const smoothingInput = document.getElementById('smoothing')
 const thresholdInput = document.getElementById('threshold')
-const practiceDurationSelect = document.getElementById('practice-duration')
+const channelViewSelect = document.getElementById('channel-view')
+const outputModeSelect = document.getElementById('output-mode')
+const decibelFloorInput = document.getElementById('decibel-floor')
+const harmonicSuppressionInput = document.getElementById('harmonic-suppression')
+const temperamentSelect = document.getElementById('temperament')
+const tonicSelect = document.getElementById('tonic')
+const scalaFilesInput = document.getElementById('scala-files')
+const practiceDurationInput = document.getElementById('practice-duration')
+const practiceBlockInput = document.getElementById('practice-block')
+const practiceBreakInput = document.getElementById('practice-break')
+const practiceSilenceInput = document.getElementById('practice-silence')
+const practiceAlertSelect = document.getElementById('practice-alert')
+const practiceThresholdInput = document.getElementById('practice-threshold')
 const practiceTimerDisplay = document.getElementById('practice-timer-display')
+const practiceTimerPauseButton = document.getElementById('practice-timer-pause')
 const practiceTimerRestartButton = document.getElementById('practice-timer-restart')
+const practiceHistoryDialog = document.getElementById('practice-history')
+const midiFormatSelect = document.getElementById('midi-format')
+const transcribeButton = document.getElementById('transcribe')
+const spectrogramModeSelect = document.getElementById('spectrogram-mode')
+const offlineProgress = document.getElementById('offline-progress')
+const levelsFormatSelect = document.getElementById('levels-format')
+const levelsRecordButton = document.getElementById('levels-record')
+const midiFileSynthInput = document.getElementById('midi-file-synth')
+const playAlongInput = document.getElementById('play-along')
+const tunerInput = document.getElementById('tuner-toggle')
+const playAlongSummary = document.getElementById('play-along-summary')
+const midiInputSelect = document.getElementById('midi-input')
+const midiInputChannelSelect = document.getElementById('midi-input-channel')
+const midiInputOffsetInput = document.getElementById('midi-input-offset')
+const midiOutputSelect = document.getElementById('midi-output')
+const midiOutputChannelSelect = document.getElementById('midi-output-channel')
+const midiOutputOffsetInput = document.getElementById('midi-output-offset')
+const midiOutputThresholdInput = document.getElementById('midi-output-threshold')
+const midiOutputHysteresisInput = document.getElementById('midi-output-hysteresis')
 
 const searchParams = new URLSearchParams(window.location.search)
+const keyboardRange = getKeyboardRange()
 
 /**
- * Keep the practice timer text in sync with the remaining countdown seconds.
+ * Whether the analyzer in use implements the feature; the pure JS one implements them all.
+ *
+ * @param {string} feature One of WASM_MISSING_FEATURES.
+ * @return {boolean} false when the feature has to be turned off.
  */
-function renderPracticeTimer () {
-  if (practiceTimerDisplay === null) {
-    return
+function analyzerSupports (feature) {
+  return searchParams.has(PUREJS) || !WASM_MISSING_FEATURES.includes(feature)
+}
+
+/**
+ * Parse the keyboard range from the URL; either one of the presets (`keys` parameter only)
+ * or a custom range (`keys` plus the MIDI note number of the `lowest` key).
+ * Custom ranges are clamped to the MIDI range, then widened, when necessary, to start and end on white keys;
+ * an unparsable `lowest` falls back to the 61-key preset.
+ *
+ * @return {{keysNum: number, firstNote: number, referenceKey: number}} Range, plus the index of A4 within it.
+ */
+function getKeyboardRange () {
+  let keysNum = parseInt(searchParams.get(KEYS)) || 61
+  let firstNote = searchParams.has(LOWEST)
+    ? parseInt(searchParams.get(LOWEST))
+    : KEYBOARD_PRESETS[keysNum] ?? KEYBOARD_PRESETS[61]
+  if (Number.isNaN(firstNote)) {
+    keysNum = 61
+    firstNote = KEYBOARD_PRESETS[61]
+  }
+
+  // clamped to the MIDI range first: the widening can't leave it, as both 0 & 127 are white keys
+  firstNote = Math.max(0, Math.min(firstNote, 127))
+  keysNum = Math.max(1, Math.min(keysNum, 128 - firstNote))
+
+  const isBlack = note => [1, 3, 6, 8, 10].includes(note % 12)
+  if (isBlack(firstNote)) {
+    firstNote--
+    keysNum++
+  }
+  if (isBlack(firstNote + keysNum - 1)) {
+    keysNum++
   }
 
-  const minutes = Math.floor(practiceTimerRemaining / 60).toString().padStart(2, '0')
-  const seconds = (practiceTimerRemaining % 60).toString().padStart(2, '0')
-  practiceTimerDisplay.innerText = `${minutes}:${seconds}`
+  return { keysNum, firstNote, referenceKey: 69 - firstNote }
 }
 
 /**
- * Stop the countdown interval if it is currently running.
+ * Build the Tuning selected in the configuration panel.
+ * Equal temperament is the fallback, also when the Scala scale is selected but missing.
+ *
+ * @param {number} sampleRate Sample rate of the analyzer.
+ * @param {number} keysNum Number of keys to analyze.
+ * @param {number} referenceKey Index of A4 within the keys.
+ * @return {PianoTuning} Tuning instance; pass its mapping to Pianolizer or to the worklet.
  */
-function stopPracticeTimerInterval () {
-  if (practiceTimerInterval !== null) {
-    clearInterval(practiceTimerInterval)
-    practiceTimerInterval = null
+function createTuning (sampleRate, keysNum, referenceKey) {
+  const pitchFork = parseFloat(searchParams.get(PITCHFORK)) || 440.0
+  const tolerance = parseFloat(searchParams.get(TOLERANCE)) || 1.0
+  const scl = localStorage.getItem('scalaScale')
+
+  if (TEMPERAMENTS[temperamentSelect.value] !== undefined) {
+    const Temperament = TEMPERAMENTS[temperamentSelect.value]
+    return new Temperament(sampleRate, keysNum, referenceKey, pitchFork, tolerance, parseInt(tonicSelect.value))
+  } else if (temperamentSelect.value === 'scala' && scl !== null) {
+    return new ScalaTuning(sampleRate, keysNum, referenceKey, pitchFork, tolerance, scl, localStorage.getItem('scalaKeyboardMapping'))
   }
+  return new PianoTuning(sampleRate, keysNum, referenceKey, pitchFork, tolerance)
 }
 
 /**
- * Reset the practice timer back to the full session length and stop counting.
+ * Precomputed mapping of the selected tuning, or null for the equal temperament (built-in default of Pianolizer).
+ *
+ * @param {number} sampleRate Sample rate of the analyzer.
+ * @param {number} keysNum Number of keys to analyze.
+ * @param {number} referenceKey Index of A4 within the keys.
+ * @return {?Array} Objects containing k & N, one per key.
  */
-function resetPracticeTimer () {
-  stopPracticeTimerInterval()
-  practiceTimerRemaining = practiceDurationMinutes * 60
-  renderPracticeTimer()
+function getTuningMapping (sampleRate, keysNum, referenceKey) {
+  const tuning = createTuning(sampleRate, keysNum, referenceKey)
+  return tuning.constructor === PianoTuning ? null : tuning.mapping
+}
+
+/**
+ * Show only the temperament controls relevant to the selected temperament.
+ */
+function updateTemperamentControls () {
+  const temperament = temperamentSelect.value
+  document.getElementById('tonic-group').hidden = TEMPERAMENTS[temperament] === undefined
+  document.getElementById('scala-group').hidden = temperament !== 'scala'
+  const scl = localStorage.getItem('scalaScale')
+  document.getElementById('scala-description').innerText = scl === null
+    ? 'No scale loaded'
+    : ScalaTuning.parseScale(scl).description || 'Untitled scale'
+}
+
+/**
+ * Convert the threshold slider position to the units of the selected output scale.
+ * The cubic curve of the normalized power becomes 3/2 power for the amplitudes; dBFS are linear, from the floor up to 0.
+ *
+ * @param {number} position Slider position, from 0 to 1.
+ * @return {number} Noise gate threshold for the worklet.
+ */
+function thresholdFromPosition (position) {
+  switch (outputModeSelect.value) {
+    case 'sqrt':
+    case 'amplitude':
+      return Math.pow(position, 3 / 2)
+    case 'decibels':
+      return parseFloat(decibelFloorInput.value) * (1 - position)
+    default:
+      return Math.pow(position, 3)
+  }
 }
 
 /**
- * Begin counting down once per second while time remains.
+ * Format a level in the units of the selected output scale.
+ *
+ * @param {number} value Level, as reported by the worklet.
+ * @return {string} Human-readable value.
  */
-function startPracticeTimer () {
-  if (practiceTimerInterval !== null || practiceTimerRemaining <= 0) {
+function formatLevel (value) {
+  return outputModeSelect.value === 'decibels'
+    ? `${value.toFixed(1)} dBFS`
+    : value.toFixed(3)
+}
+
+/**
+ * The selected output scale.
+ *
+ * @return {{outputMode: string, decibelFloor: number}} As in the options of SlidingDFT.
+ */
+function currentScale () {
+  return { outputMode: outputModeSelect.value, decibelFloor: parseFloat(decibelFloorInput.value) }
+}
+
+/**
+ * Map the levels reported by the worklet to the 0 to 1 range expected by the visualization.
+ *
+ * @param {Float32Array} snapshot Levels in the units of the output scale.
+ * @param {Float32Array} target Where to store the mapped levels.
+ * @param {{outputMode: string, decibelFloor: number}} [scale] Output scale of the levels; the selected one by default.
+ */
+function scaleLevels (snapshot, target, { outputMode, decibelFloor: floor } = currentScale()) {
+  for (let i = 0; i < target.length; i++) {
+    const value = snapshot[i]
+    if (outputMode === 'amplitude') {
+      target[i] = Math.min(1, Math.SQRT2 * value) // full-scale sine wave is 1
+    } else if (outputMode === 'decibels') {
+      target[i] = Math.max(0, 1 - value / floor)
+    } else {
+      target[i] = value
+    }
+  }
+}
+
+/**
+ * Store the levels reported by the worklet.
+ *
+ * @param {Float32Array[]} snapshot Levels of every channel, when analyzed separately; otherwise, just the levels of the mix-down.
+ * @param {{outputMode: string, decibelFloor: number}} [scale] Output scale of the levels; the selected one by default.
+ */
+function updateLevels (snapshot, scale = currentScale()) {
+  if (snapshot.length === 1) {
+    scaleLevels(snapshot[0], levels, scale)
+    channelLevels.forEach(channel => channel.set(levels))
     return
   }
 
-  practiceTimerInterval = setTimeout(() => {
-    if (practiceTimerRemaining <= 1) {
-      practiceTimerRemaining = 0
-      renderPracticeTimer()
-      stopPracticeTimerInterval()
-      return
+  // the louder side drives everything else
+  scaleLevels(snapshot[0], channelLevels[0], scale)
+  scaleLevels(snapshot[1], channelLevels[1], scale)
+  for (let i = 0; i < levels.length; i++) {
+    levels[i] = Math.max(channelLevels[0][i], channelLevels[1][i])
+  }
+}
+
+/**
+ * Convert the levels reported by the worklet to the linear amplitudes expected by the tuner.
+ *
+ * @param {Float32Array[]} snapshot Levels of every channel (or of the mix-down).
+ * @param {{outputMode: string, decibelFloor: number}} [scale] Output scale of the levels; the selected one by default.
+ */
+function updateTunerAmplitudes (snapshot, { outputMode, decibelFloor: floor } = currentScale()) {
+  if (tunerAmplitudes === null || !tunerInput.checked) {
+    return
+  }
+  tunerAmplitudes.fill(0)
+  for (const channel of snapshot) {
+    for (let i = 0; i < tunerAmplitudes.length; i++) {
+      const value = channel[i]
+      let amplitude = value
+      if (outputMode === 'normalized') {
+        amplitude = Math.sqrt(value)
+      } else if (outputMode === 'decibels') {
+        amplitude = value > floor ? Math.pow(10, value / 20) : 0
+      }
+      tunerAmplitudes[i] = Math.max(tunerAmplitudes[i], amplitude)
     }
+  }
+}
 
-    practiceTimerRemaining -= 1
-    renderPracticeTimer()
-    clearTimeout(practiceTimerInterval)
-    practiceTimerInterval = null
-  }, 1000)
+/**
+ * Show the pitch of the dominant tone in the tuner view.
+ *
+ * @param {?Object} estimate As returned by Tuner.estimate().
+ */
+function renderTuner (estimate) {
+  const needle = document.getElementById('tuner-needle')
+  if (estimate === null) {
+    document.getElementById('tuner-note-name').innerText = '\u2013'
+    document.getElementById('tuner-octave').innerText = ''
+    document.getElementById('tuner-cents').innerText = ''
+    document.getElementById('tuner-frequency').innerText = ''
+    needle.style.transform = 'rotate(0deg)'
+    needle.className = 'idle'
+    return
+  }
+
+  const cents = Math.round(estimate.cents)
+  document.getElementById('tuner-note-name').innerText = NOTE_NAMES[estimate.note % 12]
+  document.getElementById('tuner-octave').innerText = Math.floor(estimate.note / 12) - 1
+  document.getElementById('tuner-cents').innerText = `${cents > 0 ? '+' : ''}${cents}\u00a2`
+  document.getElementById('tuner-frequency').innerText = `${estimate.frequency.toFixed(1)} Hz (${estimate.target.toFixed(1)} Hz)`
+  // \u00b150 cents span \u00b145 degrees
+  needle.style.transform = `rotate(${0.9 * Math.max(-50, Math.min(50, estimate.cents))}deg)`
+  needle.className = Math.abs(estimate.cents) <= 5 ? 'in-tune' : ''
 }
 
 /**
- * Check the analyzer levels and start the timer when confident notes are detected.
+ * Handle a frame of levels from the worklet, whichever way it was delivered.
  *
- * @param {Float32Array} levelSnapshot Intensities reported by the analyzer.
+ * @param {Float32Array[]} snapshot Levels of every channel (or of the mix-down).
+ * @param {number} currentFrame Audio time of the frame, in samples.
+ */
+function consumeLevels (snapshot, currentFrame) {
+  if (isReplaying()) {
+    // the worklet keeps reporting the silence
+    return
+  }
+  levelsFrame = currentFrame
+  if (levelsRecording !== null) {
+    // the raw levels, in the units of the selected output scale; the louder side, when the channels are analyzed separately
+    const rawLevels = snapshot.length === 1
+      ? snapshot[0]
+      : snapshot[0].map((value, key) => Math.max(value, snapshot[1][key]))
+    if (!levelsRecording.add(currentFrame / audioContext.sampleRate - levelsRecordingStart, rawLevels)) {
+      console.log('[pianolizer] levels recording is full')
+      stopLevelsRecording()
+    }
+  }
+  updateLevels(snapshot)
+  handlePracticeTimerLevels(levels)
+  if (practiceSession !== null) {
+    practiceSession.process(levels, currentFrame / audioContext.sampleRate)
+  }
+  if (midiSender !== null) {
+    midiSender.process(levels, currentFrame / audioContext.sampleRate)
+  }
+  if (playAlongScorer !== null && isMIDIFilePlaying()) {
+    // the frame was analyzed a little while ago
+    const age = audioContext.currentTime - currentFrame / audioContext.sampleRate
+    renderPlayAlongMarks(playAlongScorer.process(levels, midiFilePlayer.currentTime - age))
+  }
+  if (tempoTracker.process(onsetDetector.process(levels))) {
+    beatPending = true
+  }
+}
+
+/**
+ * Scientific pitch notation of the MIDI note number.
+ *
+ * @param {number} note MIDI note number.
+ * @return {string} For instance, C4 for 60.
+ */
+function noteName (note) {
+  return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`
+}
+
+/**
+ * Show only the output scale controls relevant to the selected scale.
+ */
+function updateOutputModeControls () {
+  const outputMode = outputModeSelect.value
+  document.getElementById('decibel-floor-group').hidden = outputMode !== 'decibels'
+  // HarmonicSuppressor only works on the normalized power
+  harmonicSuppressionInput.disabled = outputMode !== 'normalized' || !analyzerSupports('harmonicSuppression')
+}
+
+/**
+ * Show the recognized chord below the keyboard; the root is painted with the same color as its keys.
+ *
+ * @param {?Object} chord As returned by ChordRecognizer.recognize().
+ */
+function renderChord (chord) {
+  // the color changes along with the palette rotation
+  const key = chord === null ? null : `${chord.name} ${palette.rotation}`
+  if (key === renderedChord) {
+    return
+  }
+  renderedChord = key
+
+  const chordNameElement = document.getElementById('chord-name')
+  const chordRootElement = document.getElementById('chord-root')
+  if (chord === null) {
+    chordNameElement.innerText = '\u00a0'
+    chordRootElement.innerText = ''
+    return
+  }
+
+  const color = `rgb(${palette.getPitchClassColor(chord.root).join(', ')})`
+  chordNameElement.innerText = chord.name
+  chordNameElement.style.color = color
+  chordRootElement.innerText = `root: ${NOTE_NAMES[chord.root]}`
+  chordRootElement.style.color = color
+}
+
+/**
+ * Show the estimated key of the piece, along with the confidence of the estimate.
+ *
+ * @param {?Object} key As returned by KeyDetector.estimate().
+ */
+function renderKey (key) {
+  const keyNameElement = document.getElementById('key-name')
+  const text = key === null ? '' : `key: ${key.name} (${Math.round(100 * key.confidence)}%)`
+  if (keyNameElement.innerText !== text) {
+    keyNameElement.innerText = text
+  }
+}
+
+/**
+ * Show the estimated tempo & flash the beat indicator.
+ *
+ * @param {boolean} beat Whether a beat fell since the last rendering.
+ */
+function renderTempo (beat) {
+  const bpm = tempoTracker === undefined ? null : tempoTracker.bpm
+  const tempoElement = document.getElementById('tempo')
+  const text = bpm === null ? '' : `${Math.round(bpm)} BPM`
+  if (tempoElement.innerText !== text) {
+    tempoElement.innerText = text
+  }
+  if (beat) {
+    document.getElementById('beat-indicator').animate(
+      [{ opacity: 1 }, { opacity: 0.15 }],
+      { duration: 200, easing: 'ease-out' }
+    )
+  }
+}
+
+/**
+ * Keep the practice timer text in sync with its state & the remaining time.
  */
-function handlePracticeTimerAutoStart (levelSnapshot) {
-  if (practiceTimerRemaining <= 0) {
+function renderPracticeTimer () {
+  if (practiceTimerDisplay === null || practiceTimer === null) {
     return
   }
-  let anyHighConfidence = false
+
+  const state = practiceTimer.state
+  const remaining = Math.ceil(state === 'break' ? practiceTimer.blockRemaining : practiceTimer.remaining)
+  const minutes = Math.floor(remaining / 60).toString().padStart(2, '0')
+  const seconds = (remaining % 60).toString().padStart(2, '0')
+  const text = `${minutes}:${seconds}`
+  if (practiceTimerDisplay.innerText !== text) {
+    practiceTimerDisplay.innerText = text
+  }
+  const section = document.getElementById('practice-timer')
+  if (section.dataset.state !== state) {
+    section.dataset.state = state
+    section.querySelector('.timer-label').innerText = PRACTICE_TIMER_LABELS[state]
+    practiceTimerPauseButton.innerText = state === 'paused' ? 'Resume' : 'Pause'
+    practiceTimerPauseButton.disabled = state === 'break' || state === 'finished'
+  }
+  const blockRemaining = practiceTimer.blockRemaining
+  practiceTimerDisplay.title = blockRemaining === null || state === 'break'
+    ? ''
+    : `Break in ${Math.ceil(blockRemaining / 60)} min`
+}
+
+/**
+ * Start the practice timer over, with the current settings.
+ */
+function resetPracticeTimer () {
+  endPracticeSession()
+  practiceTimer = new PracticeTimer({
+    duration: practiceDurationMinutes * 60,
+    block: 60 * parseInt(practiceBlockInput.value),
+    pause: 60 * parseInt(practiceBreakInput.value),
+    silence: parseInt(practiceSilenceInput.value)
+  })
+  practiceTimer.onstatechange = handlePracticeTimerState
+  renderPracticeTimer()
+}
+
+/**
+ * Follow the practice timer transitions: the session recording & the signals.
+ *
+ * @param {string} state One of PracticeTimer.STATES.
+ * @param {string} previous The state before.
+ */
+function handlePracticeTimerState (state, previous) {
+  console.log('[pianolizer] practice timer:', previous, '->', state)
+  if (state === 'running') {
+    beginPracticeSession()
+  } else if (state === 'finished') {
+    endPracticeSession()
+    signalPracticeTimer(3)
+  } else if (state === 'break' || previous === 'break') {
+    signalPracticeTimer(1)
+  }
+  renderPracticeTimer()
+}
+
+/**
+ * Let the player know that the session (or the work block, or the break) is over, as selected in the configuration panel.
+ *
+ * @param {number} chimes How many times to chime & flash.
+ */
+function signalPracticeTimer (chimes) {
+  const alert = practiceAlertSelect.value
+  if ((alert === 'sound' || alert === 'both') && audioContext !== undefined) {
+    const now = audioContext.currentTime
+    for (let i = 0; i < chimes; i++) {
+      const oscillator = audioContext.createOscillator()
+      const envelope = audioContext.createGain()
+      oscillator.frequency.value = 1046.5 // C6
+      envelope.gain.setValueAtTime(0.2, now + 0.4 * i)
+      envelope.gain.setTargetAtTime(0, now + 0.4 * i, 0.1)
+      oscillator.connect(envelope)
+      envelope.connect(audioContext.destination)
+      oscillator.start(now + 0.4 * i)
+      oscillator.stop(now + 0.4 * i + 0.4)
+    }
+  }
+  if (alert === 'visual' || alert === 'both') {
+    document.getElementById('practice-timer').animate(
+      [{ backgroundColor: '#f3f6ff' }, { backgroundColor: '#09090a' }],
+      { duration: 400, iterations: chimes, easing: 'ease-out' }
+    )
+  }
+}
+
+/**
+ * Check the analyzer levels and let the practice timer know when confident notes are detected.
+ *
+ * @param {Float32Array} levelSnapshot Intensities reported by the analyzer.
+ */
+function handlePracticeTimerLevels (levelSnapshot) {
   for (let i = 0; i < levelSnapshot.length; i++) {
-    if (levelSnapshot[i] >= HIGH_CONFIDENCE_LEVEL) {
-      anyHighConfidence = true
-      break
+    if (levelSnapshot[i] >= practiceThreshold) {
+      practiceTimer.heard(performance.now() / 1000)
+      return
     }
   }
-  if (anyHighConfidence) {
-    startPracticeTimer()
+}
+
+/**
+ * Start recording a practice session, unless one is already in progress.
+ */
+function beginPracticeSession () {
+  if (practiceSession !== null) {
+    return
   }
+  practiceSession = new PracticeSession(keyboardRange.keysNum, keyboardRange.firstNote, practiceDurationMinutes, {
+    threshold: practiceThreshold
+  })
+  practiceSaveInterval = setInterval(savePracticeSession, PRACTICE_SAVE_INTERVAL)
+  console.log('[pianolizer] practice session started')
+}
+
+/**
+ * Store the practice session in the history; the record is updated in place as the session goes.
+ * The saves are queued, so that the first one assigns the id before the next one.
+ *
+ * @param {PracticeSession} [session=practiceSession] Session to save.
+ * @return {Promise<void>} Resolves once saved.
+ */
+function savePracticeSession (session = practiceSession) {
+  if (practiceHistory === null || session === null || session.activeSeconds < 1) {
+    return practiceSaving
+  }
+  practiceSaving = practiceSaving
+    .then(async () => {
+      session.id = await practiceHistory.put(session.toJSON())
+    })
+    .catch(error => console.warn('Unable to save the practice session:', error))
+  return practiceSaving
+}
+
+/**
+ * Close & save the practice session in progress.
+ */
+function endPracticeSession () {
+  if (practiceSession === null) {
+    return
+  }
+  clearInterval(practiceSaveInterval)
+  practiceSaveInterval = null
+  practiceSession.finish()
+  savePracticeSession(practiceSession)
+  console.log('[pianolizer] practice session ended:', practiceSession.toJSON())
+  practiceSession = null
+}
+
+/**
+ * Format the duration for the practice history.
+ *
+ * @param {number} seconds Duration.
+ * @return {string} For instance, 1h 05m.
+ */
+function formatPracticeTime (seconds) {
+  const minutes = Math.round(seconds / 60)
+  return minutes < 60
+    ? `${minutes}m`
+    : `${Math.floor(minutes / 60)}h ${(minutes % 60).toString().padStart(2, '0')}m`
+}
+
+/**
+ * Fill the table body with the rows of cells.
+ *
+ * @param {string} id Table element id.
+ * @param {string[][]} rows Text of the cells.
+ */
+function fillPracticeTable (id, rows) {
+  const tbody = document.querySelector(`#${id} tbody`)
+  tbody.replaceChildren(...rows.map(cells => {
+    const tr = document.createElement('tr')
+    for (const text of cells) {
+      const td = document.createElement('td')
+      td.innerText = text
+      tr.appendChild(td)
+    }
+    return tr
+  }))
+}
+
+/**
+ * Show the statistics & the recent sessions in the practice history dialog.
+ */
+async function renderPracticeHistory () {
+  // the session in progress counts, too
+  await savePracticeSession()
+  const sessions = await practiceHistory.getAll()
+  const stats = summarizePractice(sessions)
+
+  document.getElementById('practice-history-summary').innerText = [
+    `Today: ${formatPracticeTime(stats.today)}`,
+    `This week: ${formatPracticeTime(stats.thisWeek)}`,
+    `Streak: ${stats.currentStreak} day${stats.currentStreak === 1 ? '' : 's'} (longest: ${stats.longestStreak})`,
+    `Total: ${formatPracticeTime(stats.totalSeconds)} in ${stats.sessions} session${stats.sessions === 1 ? '' : 's'}`
+  ].join(' \u00b7 ')
+
+  fillPracticeTable('practice-history-daily', stats.daily.map(day => [
+    day.date,
+    formatPracticeTime(day.seconds),
+    day.goalMet ? '\u2713' : ''
+  ]))
+  fillPracticeTable('practice-history-weekly', stats.weekly.map(week => [
+    week.week,
+    formatPracticeTime(week.seconds)
+  ]))
+  fillPracticeTable('practice-history-sessions', sessions.slice(-20).reverse().map(session => [
+    new Date(session.start).toLocaleString(),
+    `${session.durationMinutes}m`,
+    formatPracticeTime(session.activeSeconds),
+    session.notesDetected.toString(),
+    session.lowestNote === null ? '' : `${noteName(session.lowestNote)}\u2013${noteName(session.highestNote)}`
+  ]))
 }
 
 /**
@@ -121,14 +752,77 @@ function loadSettings (reset = false) {
   rotationInput.value = localStorage.getItem('rotation') || 0
   rotationInput.dispatchEvent(inputEvent)
 
+  secondsPerRowSelect.value = localStorage.getItem('secondsPerRow') || '0.02'
+  secondsPerRowSelect.dispatchEvent(new Event('change'))
+
   smoothingInput.value = Math.pow(localStorage.getItem('smoothing') || 0.080, 1 / 3)
   smoothingInput.dispatchEvent(inputEvent)
 
+  channelViewSelect.value = localStorage.getItem('channelView') || 'mix'
+  channelViewSelect.dispatchEvent(new Event('change'))
+
+  // the threshold slider follows the output scale; the analyzer without the output scales sends the normalized power
+  document.getElementById('output-mode-group').hidden = !analyzerSupports('outputMode')
+  outputModeSelect.value = analyzerSupports('outputMode')
+    ? localStorage.getItem('outputMode') || 'normalized'
+    : 'normalized'
+  decibelFloorInput.value = localStorage.getItem('decibelFloor') || -96
+  updateOutputModeControls()
+
   thresholdInput.value = Math.pow(localStorage.getItem('threshold') || 0.120, 1 / 3)
   thresholdInput.dispatchEvent(inputEvent)
 
+  // the stored choice stays for the analyzer that implements it
+  if (analyzerSupports('harmonicSuppression')) {
+    harmonicSuppressionInput.checked = localStorage.getItem('harmonicSuppression') === 'true'
+    harmonicSuppressionInput.dispatchEvent(new Event('change'))
+  } else {
+    harmonicSuppressionInput.checked = false
+    harmonicSuppressionInput.title = 'Not implemented by the bundled WASM analyzer; select the PureJS implementation'
+  }
+
+  midiFormatSelect.value = localStorage.getItem('midiFormat') || '1'
+  levelsFormatSelect.value = localStorage.getItem('levelsFormat') || 'csv'
+  midiFileSynthInput.checked = localStorage.getItem('midiFileSynth') !== 'false'
+  playAlongInput.checked = localStorage.getItem('playAlong') === 'true'
+  updatePlayAlongControls()
+  tunerInput.checked = localStorage.getItem('tuner') === 'true'
+  tunerInput.dispatchEvent(new Event('change'))
+
+  midiInputChannelSelect.value = localStorage.getItem('midiInputChannel') || '-1'
+  midiInputChannelSelect.dispatchEvent(new Event('change'))
+  midiInputOffsetInput.value = localStorage.getItem('midiInputOffset') || 0
+  midiInputOffsetInput.dispatchEvent(new Event('change'))
+
+  midiOutputChannelSelect.value = localStorage.getItem('midiOutputChannel') || '0'
+  midiOutputOffsetInput.value = localStorage.getItem('midiOutputOffset') || 0
+  midiOutputThresholdInput.value = localStorage.getItem('midiOutputThreshold') || 0.1
+  midiOutputThresholdInput.dispatchEvent(inputEvent)
+  midiOutputHysteresisInput.value = localStorage.getItem('midiOutputHysteresis') || 0.5
+  midiOutputHysteresisInput.dispatchEvent(inputEvent)
+
+  // changing these requires rebuilding the analyzer, so no change event here;
+  // the analyzer without the precomputed mappings is stuck with the equal temperament
+  for (const option of temperamentSelect.options) {
+    option.disabled = option.value !== 'equal' && !analyzerSupports('mapping')
+  }
+  temperamentSelect.title = analyzerSupports('mapping')
+    ? ''
+    : 'The bundled WASM analyzer only implements the equal temperament; select the PureJS implementation'
+  temperamentSelect.value = analyzerSupports('mapping')
+    ? localStorage.getItem('temperament') || 'equal'
+    : 'equal'
+  tonicSelect.value = localStorage.getItem('tonic') || '0'
+  updateTemperamentControls()
+
   practiceDurationMinutes = parseInt(localStorage.getItem('practiceDurationMinutes') || DEFAULT_PRACTICE_DURATION_MINUTES)
-  practiceDurationSelect.value = practiceDurationMinutes.toString()
+  practiceDurationInput.value = practiceDurationMinutes.toString()
+  practiceBlockInput.value = localStorage.getItem('practiceBlock') || '0'
+  practiceBreakInput.value = localStorage.getItem('practiceBreak') || '5'
+  practiceSilenceInput.value = localStorage.getItem('practiceSilence') || '10'
+  practiceAlertSelect.value = localStorage.getItem('practiceAlert') || 'both'
+  practiceThresholdInput.value = localStorage.getItem('practiceThreshold') || DEFAULT_PRACTICE_THRESHOLD
+  practiceThresholdInput.dispatchEvent(inputEvent)
   resetPracticeTimer()
 }
 
@@ -152,6 +846,255 @@ async function loadLocalFile () {
   })
   const fileData = await fileHandles[0].getFile()
   audioElement.src = URL.createObjectURL(fileData)
+  audioFileName = fileData.name
+}
+
+/**
+ * Fetch & decode the current audio file.
+ *
+ * @param {number} sampleRate The audio gets resampled to this rate.
+ * @return {Promise<Float32Array>} Samples, mixed down to mono.
+ */
+async function decodeAudioFile (sampleRate) {
+  const encodedAudio = await fetch(audioElement.currentSrc).then(response => response.arrayBuffer())
+  const offlineContext = new OfflineAudioContext(1, 1, sampleRate)
+  const audioBuffer = await offlineContext.decodeAudioData(encodedAudio)
+
+  // mix down to mono
+  const samples = new Float32Array(audioBuffer.length)
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const channelData = audioBuffer.getChannelData(channel)
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] += channelData[i] / audioBuffer.numberOfChannels
+    }
+  }
+  return samples
+}
+
+/**
+ * Analyze the whole current audio file in a Web Worker, with the same settings as the live analysis,
+ * and load the result into the full-length spectrogram.
+ *
+ * @return {Promise<void>} Resolves once the full-length spectrogram is ready.
+ */
+async function analyzeWholeFile () {
+  const source = audioElement.currentSrc
+  offlineProgress.value = 0
+  offlineProgress.hidden = false
+  try {
+    const samples = await decodeAudioFile(OFFLINE_SAMPLE_RATE)
+    const worker = new Worker('js/offline-worker.js', { type: 'module' })
+    const result = await new Promise((resolve, reject) => {
+      worker.onmessage = event => {
+        if (event.data.error !== undefined) {
+          reject(new Error(event.data.error))
+        } else if (event.data.progress !== undefined) {
+          offlineProgress.value = event.data.progress
+        } else {
+          resolve(event.data)
+        }
+      }
+      worker.onerror = event => reject(new Error(event.message))
+      worker.postMessage({
+        samples,
+        sampleRate: OFFLINE_SAMPLE_RATE,
+        rowSize: Math.round(OFFLINE_ROW_DURATION * OFFLINE_SAMPLE_RATE),
+        keysNum: keyboardRange.keysNum,
+        referenceKey: keyboardRange.referenceKey,
+        pitchFork: parseFloat(searchParams.get(PITCHFORK)) || 440.0,
+        tolerance: parseFloat(searchParams.get(TOLERANCE)) || 1.0,
+        harmonicSuppression: harmonicSuppressionInput.checked ? 1.0 : 0.0,
+        mapping: getTuningMapping(OFFLINE_SAMPLE_RATE, keyboardRange.keysNum, keyboardRange.referenceKey),
+        outputMode: outputModeSelect.value,
+        decibelFloor: parseFloat(decibelFloorInput.value),
+        smooth: Math.pow(parseFloat(smoothingInput.value), 3),
+        threshold: thresholdFromPosition(parseFloat(thresholdInput.value))
+      }, [samples.buffer])
+    }).finally(() => worker.terminate())
+
+    // same scale as the live levels
+    const keysNum = keyboardRange.keysNum
+    const rows = new Float32Array(result.levels.length)
+    for (let row = 0; row < result.rows; row++) {
+      scaleLevels(result.levels.subarray(row * keysNum, (row + 1) * keysNum), rows.subarray(row * keysNum, (row + 1) * keysNum))
+    }
+    fullSpectrogram.load(rows, Math.round(OFFLINE_ROW_DURATION * OFFLINE_SAMPLE_RATE) / OFFLINE_SAMPLE_RATE)
+    analyzedSource = source
+    console.log('[pianolizer] whole file analyzed,', result.rows, 'rows')
+  } finally {
+    offlineProgress.hidden = true
+  }
+}
+
+/**
+ * Whether the <audio> element (which can seek) is the source, as opposed to the microphone or the "MIDI solo" mode.
+ *
+ * @return {boolean}
+ */
+function isFileSource () {
+  const selectedValue = sourceSelect.value
+  return selectedValue.charAt(0) !== '*' && selectedValue !== '#' && selectedValue !== '@' && !isMIDIFileSource() && audioElement.currentSrc !== ''
+}
+
+/**
+ * Whether a Standard MIDI File is the source (the microphone, if any, stays connected, so that one can play along).
+ *
+ * @return {boolean}
+ */
+function isMIDIFileSource () {
+  const selectedValue = sourceSelect.value
+  return selectedValue === '%' || selectedValue.endsWith('.mid')
+}
+
+/**
+ * Whether the MIDI file is loaded and playing.
+ *
+ * @return {boolean}
+ */
+function isMIDIFilePlaying () {
+  return isMIDIFileSource() && midiFilePlayer !== null && !midiFilePlayer.paused
+}
+
+/**
+ * Whether the "Recorded levels" source is loaded and playing.
+ *
+ * @return {boolean}
+ */
+function isReplaying () {
+  return sourceSelect.value === '@' && levelsPlayer !== null && !levelsPlayer.paused
+}
+
+/**
+ * Stop recording the levels, and download them in the selected format.
+ */
+function stopLevelsRecording () {
+  const format = levelsFormatSelect.value
+  // the Blob is assembled from the chunks, not from one huge string
+  const blob = new Blob(Array.from(levelsRecording.chunks(format)), { type: LEVELS_MIME_TYPES[format] })
+  console.log('[pianolizer] levels recording stopped,', levelsRecording.length, 'frames')
+  levelsRecording = null
+  levelsRecordButton.innerText = 'Record levels'
+
+  const a = document.createElement('a')
+  a.href = URL.createObjectURL(blob)
+  a.download = audioFileName.replace(/\.\w+$/, '') + '.levels.' + format
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(a.href))
+}
+
+/**
+ * Current position on the timeline of the spectrogram: the playback position of the file; otherwise, the running time.
+ *
+ * @return {number} Seconds.
+ */
+function getTimelinePosition () {
+  if (isFileSource()) {
+    return audioElement.currentTime
+  }
+  if (sourceSelect.value === '@' && levelsPlayer !== null) {
+    return levelsPlayer.currentTime
+  }
+  if (isMIDIFileSource() && midiFilePlayer !== null) {
+    return midiFilePlayer.currentTime
+  }
+  return audioContext === undefined
+    ? performance.now() / 1000
+    : audioContext.currentTime
+}
+
+/**
+ * Switch between the live & the full-length spectrogram.
+ *
+ * @param {boolean} full Show the full-length spectrogram.
+ */
+function showFullSpectrogram (full) {
+  document.getElementById('spectrogram').hidden = full
+  document.getElementById('full-spectrogram').hidden = !full
+  spectrogramModeSelect.value = full ? 'full' : 'live'
+  if (full) {
+    fullSpectrogram.resize()
+  }
+}
+
+/**
+ * Analyze the whole current audio file with the pure JS Pianolizer and download the notes as a Standard MIDI File.
+ * Mirrors what misc/transcribe2midi.pl does with ffmpeg & the native binary.
+ *
+ * @param {number} format MIDI file format; 0 is a single track, 1 splits the notes into left & right hand tracks.
+ * @return {Promise<void>} Resolves once the download is triggered.
+ */
+async function transcribeToMIDI (format) {
+  const samples = await decodeAudioFile(TRANSCRIPTION_SAMPLE_RATE)
+
+  const transcriber = new Pianolizer(
+    TRANSCRIPTION_SAMPLE_RATE,
+    TRANSCRIPTION_KEYS,
+    TRANSCRIPTION_REFERENCE_KEY,
+    parseFloat(searchParams.get(PITCHFORK)) || 440.0,
+    parseFloat(searchParams.get(TOLERANCE)) || 1.0,
+    harmonicSuppressionInput.checked ? 1.0 : 0.0,
+    getTuningMapping(TRANSCRIPTION_SAMPLE_RATE, TRANSCRIPTION_KEYS, TRANSCRIPTION_REFERENCE_KEY)
+  )
+  const noteTracker = new NoteTracker(TRANSCRIPTION_KEYS, {
+    attack: TRANSCRIPTION_THRESHOLD,
+    release: TRANSCRIPTION_THRESHOLD,
+    minLength: TRANSCRIPTION_MIN_LENGTH
+  })
+
+  const events = []
+  const input = new Float32Array(TRANSCRIPTION_BUFFER_SIZE)
+  const framesPerSecond = Math.round(TRANSCRIPTION_SAMPLE_RATE / TRANSCRIPTION_BUFFER_SIZE)
+  let frame = 0
+  for (let offset = 0; offset < samples.length; offset += TRANSCRIPTION_BUFFER_SIZE, frame++) {
+    input.set(samples.subarray(offset, offset + TRANSCRIPTION_BUFFER_SIZE))
+    const frameLevels = transcriber.process(input, TRANSCRIPTION_SMOOTHING)
+    const time = frame * TRANSCRIPTION_BUFFER_SIZE / TRANSCRIPTION_SAMPLE_RATE
+    events.push(...noteTracker.process(frameLevels, time))
+
+    // let the UI breathe once per second of audio
+    if (frame % framesPerSecond === 0) {
+      transcribeButton.innerText = `Transcribing... ${Math.floor(100 * offset / samples.length)}%`
+      await new Promise(resolve => setTimeout(resolve))
+    }
+  }
+  events.push(...noteTracker.finalize(frame * TRANSCRIPTION_BUFFER_SIZE / TRANSCRIPTION_SAMPLE_RATE))
+
+  const noteOns = events.filter(event => event.type === 'noteon')
+  if (noteOns.length === 0) {
+    window.alert('No music detected')
+    return
+  }
+  console.log('[pianolizer]', noteOns.length, 'MIDI notes extracted')
+
+  // normalize the velocities & map the key indices to the MIDI note numbers (A4 is 69)
+  // no spread: that many arguments overflow the stack on the long files
+  const maxVelocity = noteOns.reduce((max, event) => Math.max(max, event.velocity), 0)
+  const midiEvents = events.map(event => ({
+    type: event.type,
+    time: event.time,
+    note: 69 + event.key - TRANSCRIPTION_REFERENCE_KEY,
+    velocity: event.type === 'noteon'
+      ? Math.max(1, Math.round(127 * event.velocity / maxVelocity))
+      : 64
+  }))
+
+  const writer = new MIDIFileWriter(
+    parseInt(searchParams.get(DIVISION)) || 960,
+    parseInt(searchParams.get(TEMPO)) || 500000
+  )
+  if (format === 0) {
+    writer.addTrack(midiEvents)
+  } else {
+    const middleC = 60
+    writer.addTrack(midiEvents.filter(event => event.note >= middleC), 0, 'Right hand')
+    writer.addTrack(midiEvents.filter(event => event.note < middleC), 0, 'Left hand')
+  }
+
+  const a = document.createElement('a')
+  a.href = URL.createObjectURL(new Blob([writer.build(format)], { type: 'audio/midi' }))
+  a.download = audioFileName.replace(/\.\w+$/, '') + '.mid'
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(a.href))
 }
 
 /**
@@ -173,59 +1116,269 @@ async function setupAudio () {
       : 'js/pianolizer-wasm.js'
     const modules = await Promise.all([
       fetchText(pianolizerImplementation),
+      fetchText('js/levels-ring.js'),
       fetchText('js/pianolizer-worklet.js')
     ])
     const blob = new Blob(modules, { type: 'application/javascript' })
     await audioContext.audioWorklet.addModule(URL.createObjectURL(blob))
 
     const processorOptions = {
+      keysNum: keyboardRange.keysNum,
+      referenceKey: keyboardRange.referenceKey,
       pitchFork: parseFloat(searchParams.get(PITCHFORK)) || 440.0,
-      tolerance: parseFloat(searchParams.get(TOLERANCE)) || 1.0
+      tolerance: parseFloat(searchParams.get(TOLERANCE)) || 1.0,
+      harmonicSuppression: harmonicSuppressionInput.checked ? 1.0 : 0.0,
+      mapping: getTuningMapping(audioContext.sampleRate, keyboardRange.keysNum, keyboardRange.referenceKey),
+      outputMode: outputModeSelect.value,
+      decibelFloor: parseFloat(decibelFloorInput.value),
+      perChannel: channelViewSelect.value !== 'mix',
+      pitchTracking: tunerInput.checked && analyzerSupports('pitchTracking'),
+      tuner: tunerInput.checked,
+      levelsBuffer: null
     }
+    if (LevelsRing.isSupported()) {
+      levelsRing = LevelsRing.create(keyboardRange.keysNum)
+      processorOptions.levelsBuffer = levelsRing.buffer
+    }
+    console.log('[pianolizer] levels transport:', levelsRing === null ? 'messages' : 'SharedArrayBuffer')
     pianolizer = new AudioWorkletNode(audioContext, 'pianolizer-worklet', { processorOptions })
+    tempoTracker = new TempoTracker(audioContext.sampleRate / RENDER_QUANTUM)
     pianolizer.port.onmessage = event => {
-      // TODO: use SharedArrayBuffer for syncing levels
-      levels.set(event.data)
-      handlePracticeTimerAutoStart(event.data)
+      if (event.data.levels !== undefined) {
+        consumeLevels(event.data.levels, event.data.currentFrame)
+      } else if (event.data.spectrum !== undefined) {
+        updateTunerAmplitudes([event.data.spectrum])
+        // null unless the analyzer tracks the pitch; then, the tuner interpolates the levels
+        tunerCents = event.data.cents
+      }
+    }
+
+    // same tuning as the worklet's, with all the nominal frequencies
+    tuner = new Tuner(
+      createTuning(audioContext.sampleRate, keyboardRange.keysNum, keyboardRange.referenceKey).mapping.map(band => band.frequency),
+      keyboardRange.firstNote
+    )
+    tunerAmplitudes = new Float32Array(keyboardRange.keysNum)
+    document.getElementById('tuner-reference').innerText =
+      `A4 = ${processorOptions.pitchFork} Hz, ${temperamentSelect.selectedOptions[0].innerText}`
+
+    audioSource = audioContext.createMediaElementSource(audioElement)
+    audioSource.connect(pianolizer)
+  }
+
+  audioSource.connect(audioContext.destination)
+  pianolizer.parameters.get('smooth').value = Math.pow(parseFloat(smoothingInput.value), 3)
+  pianolizer.parameters.get('threshold').value = thresholdFromPosition(parseFloat(thresholdInput.value))
+}
+
+/**
+ * Route the selected microphone into the analyzer pipeline.
+ *
+ * @param {string} deviceId MediaDevices identifier for the chosen input.
+ * @return {Promise<void>} Resolves when the microphone stream is connected.
+ */
+async function setupMicrophone (deviceId) {
+  await setupAudio()
+  audioSource.disconnect(audioContext.destination)
+
+  if (microphoneSource === undefined) {
+    await navigator.mediaDevices.getUserMedia({ audio: { deviceId }, video: false })
+      .then(stream => {
+        microphoneSource = audioContext.createMediaStreamSource(stream)
+        microphoneSource.connect(pianolizer)
+        microphoneConnected = true
+        updatePlayAlongControls()
+
+        // for whatever reason, once selected, the input can't be switched
+        const selectedLabel = '*' + deviceId
+        for (const option of sourceSelect.options) {
+          if (option.value.charAt(0) === '*' && option.value !== selectedLabel) {
+            option.disabled = true
+          }
+        }
+      })
+      .catch(error => window.alert('Audio input access denied: ' + error))
+  } else {
+    microphoneSource.connect(pianolizer)
+    microphoneConnected = true
+    updatePlayAlongControls()
+  }
+}
+
+/**
+ * Parse the Standard MIDI File and get it ready to play; its notes are outlined on the keyboard & the spectrogram, same as the MIDI input.
+ *
+ * @param {ArrayBuffer} data Contents of the .mid file.
+ * @param {string} name File name, for the log.
+ */
+function loadMIDIFile (data, name) {
+  const reader = new MIDIFileReader(data)
+  if (midiFilePlayer !== null) {
+    midiFilePlayer.pause()
+  }
+  midiFilePlayer = new MIDIFilePlayer(reader)
+  midiFilePlayer.onmessage = message => {
+    midiFilePart.process(message)
+    if (midiSynth !== null && midiFileSynthInput.checked && !midiFileSynthInput.disabled) {
+      midiSynth.process(message)
+    }
+  }
+  midiFilePlayer.onended = () => {
+    console.log('[pianolizer] MIDI file playback ended')
+    playToggle.innerText = 'Play'
+    if (playAlongScorer !== null) {
+      renderPlayAlongMarks(playAlongScorer.finalize())
+      renderPlayAlongSummary(true)
+      console.log('[pianolizer] play-along summary:', playAlongScorer.summary)
+      playAlongScorer = null
+    }
+  }
+  console.log('[pianolizer] MIDI file loaded:', name, reader.events.length, 'events,', reader.duration, 'seconds')
+}
+
+/**
+ * Start grading the playing against the MIDI file from the current position, when the play-along is enabled and the file is playing;
+ * otherwise, stop grading.
+ */
+function resetPlayAlong () {
+  playAlongScorer = playAlongInput.checked && !playAlongInput.disabled && midiFilePlayer !== null && !midiFilePlayer.paused
+    ? new PlayAlongScorer(extractNotes(midiFilePlayer.reader.events), keyboardRange.keysNum, keyboardRange.firstNote, {
+      startTime: midiFilePlayer.currentTime
+    })
+    : null
+  playAlongSummary.hidden = playAlongScorer === null
+  if (playAlongScorer !== null) {
+    console.log('[pianolizer] play-along scoring started at', midiFilePlayer.currentTime, 'seconds')
+    renderPlayAlongSummary()
+  }
+}
+
+/**
+ * The play-along needs the microphone, and mutes the built-in synthesizer, which would bleed into it.
+ */
+function updatePlayAlongControls () {
+  playAlongInput.disabled = !microphoneConnected
+  playAlongInput.parentElement.title = microphoneConnected
+    ? ''
+    : 'Select the microphone as the source first, then the MIDI file'
+
+  const scoring = playAlongInput.checked && microphoneConnected
+  midiFileSynthInput.disabled = scoring
+  midiFileSynthInput.parentElement.title = scoring
+    ? 'Muted while scoring the playing along, as the microphone would pick it up'
+    : ''
+  if (scoring && midiSynth !== null) {
+    midiSynth.release()
+  }
+}
+
+/**
+ * Mark the graded notes on the spectrogram, at the time they were expected.
+ *
+ * @param {Object[]} marks As returned by PlayAlongScorer.process().
+ */
+function renderPlayAlongMarks (marks) {
+  for (const mark of marks) {
+    spectrogram.mark(mark.time, mark.note - keyboardRange.firstNote, PLAY_ALONG_COLORS[mark.result])
+  }
+  if (marks.length > 0) {
+    renderPlayAlongSummary()
+  }
+}
+
+/**
+ * Show the totals of the play-along below the keyboard.
+ *
+ * @param {boolean} [final=false] The reference part has ended.
+ */
+function renderPlayAlongSummary (final = false) {
+  const summary = playAlongScorer.summary
+  const accuracy = summary.accuracy === null ? '\u2013' : `${Math.round(100 * summary.accuracy)}%`
+  const counts = PlayAlongScorer.RESULTS
+    .filter(result => result !== 'hit')
+    .map(result => `${result}: ${summary[result]}`)
+    .join(', ')
+  playAlongSummary.innerText = `${final ? 'Final score' : 'Score'}: ${accuracy} hit (${summary.hit} of ${summary.graded}); ${counts}`
+}
+
+/**
+ * Show which MIDI notes map onto the keyboard, given the key offset.
+ */
+function updateMIDIInputRange () {
+  const lowest = keyboardRange.firstNote - midiInput.offset
+  const highest = lowest + keyboardRange.keysNum - 1
+  document.getElementById('midi-input-range').innerText = lowest < 0 || highest > 127
+    ? 'partly outside of the MIDI range'
+    : `receives ${noteName(lowest)}\u2013${noteName(highest)} (notes ${lowest}\u2013${highest})`
+}
+
+/**
+ * Attach the handler to all the connected MIDI input ports and list them in the device picker.
+ * Only the messages from the selected device (or from any, when none is selected) reach the keyboard.
+ */
+function updateMIDIInputs () {
+  const selectedId = midiInputSelect.value || localStorage.getItem('midiInput') || ''
+  while (midiInputSelect.options.length > 1) {
+    midiInputSelect.remove(1)
+  }
+  for (const input of midiInputPorts.values()) {
+    if (input.state !== 'connected') {
+      continue
+    }
+    midiInputSelect.add(new Option(input.name, input.id))
+    input.onmidimessage = message => {
+      if (midiInputSelect.value === '' || midiInputSelect.value === input.id) {
+        midiInput.process(message.data)
+      }
     }
-
-    audioSource = audioContext.createMediaElementSource(audioElement)
-    audioSource.connect(pianolizer)
   }
-
-  audioSource.connect(audioContext.destination)
-  pianolizer.parameters.get('smooth').value = Math.pow(parseFloat(smoothingInput.value), 3)
-  pianolizer.parameters.get('threshold').value = Math.pow(parseFloat(thresholdInput.value), 3)
+  midiInputSelect.value = [...midiInputSelect.options].some(option => option.value === selectedId) ? selectedId : ''
 }
 
 /**
- * Route the selected microphone into the analyzer pipeline.
- *
- * @param {string} deviceId MediaDevices identifier for the chosen input.
- * @return {Promise<void>} Resolves when the microphone stream is connected.
+ * List the available MIDI output ports, keeping the selected one (or the one from the previous session) when still there;
+ * the converter is rebuilt only when the selected port changes or goes away.
  */
-async function setupMicrophone (deviceId) {
-  await setupAudio()
-  audioSource.disconnect(audioContext.destination)
-
-  if (microphoneSource === undefined) {
-    await navigator.mediaDevices.getUserMedia({ audio: { deviceId }, video: false })
-      .then(stream => {
-        microphoneSource = audioContext.createMediaStreamSource(stream)
-        microphoneSource.connect(pianolizer)
+function updateMIDIOutputs () {
+  const selectedId = midiOutputSelect.value || localStorage.getItem('midiOutput') || ''
+  while (midiOutputSelect.options.length > 1) {
+    midiOutputSelect.remove(1)
+  }
+  for (const output of midiOutputPorts.values()) {
+    if (output.state === 'connected') {
+      midiOutputSelect.add(new Option(output.name, output.id))
+    }
+  }
+  midiOutputSelect.value = [...midiOutputSelect.options].some(option => option.value === selectedId) ? selectedId : ''
+  // the port in use opening (on the first message) and the other devices coming & going leave the sounding notes alone
+  const output = midiOutputPorts.get(midiOutputSelect.value)
+  if (output !== (midiSender === null ? undefined : midiSender.output)) {
+    updateMIDISender()
+  }
+}
 
-        // for whatever reason, once selected, the input can't be switched
-        const selectedLabel = '*' + deviceId
-        for (const option of sourceSelect.options) {
-          if (option.value.charAt(0) === '*' && option.value !== selectedLabel) {
-            option.disabled = true
-          }
-        }
-      })
-      .catch(error => window.alert('Audio input access denied: ' + error))
-  } else {
-    microphoneSource.connect(pianolizer)
+/**
+ * Rebuild the audio-to-MIDI converter from the MIDI output settings; the notes sounding on the previous port are released.
+ */
+function updateMIDISender () {
+  const output = midiOutputPorts === null ? undefined : midiOutputPorts.get(midiOutputSelect.value)
+  if (midiSender !== null) {
+    // an unplugged port can't take the note-off messages
+    if (midiSender.output.state === 'connected') {
+      midiSender.release()
+    }
+    if (output !== midiSender.output) {
+      console.log('[pianolizer] MIDI output', output === undefined ? 'disabled' : `set to ${output.name}`)
+    }
   }
+  midiSender = output === undefined
+    ? null
+    : new MIDINoteSender(output, keyboardRange.keysNum, keyboardRange.firstNote, {
+      channel: parseInt(midiOutputChannelSelect.value),
+      offset: parseInt(midiOutputOffsetInput.value) || 0,
+      threshold: parseFloat(midiOutputThresholdInput.value),
+      hysteresis: parseFloat(midiOutputHysteresisInput.value)
+    })
 }
 
 /**
@@ -239,23 +1392,30 @@ function setupMIDI () {
   navigator.requestMIDIAccess()
     .then(
       midiAccess => {
-        // connecting MIDI to input function
-        for (const input of midiAccess.inputs.values()) {
-          input.onmidimessage = message => {
-            const firstNoteIndex = 36
-            const [command, note, velocity] = message.data
-            switch (command) {
-              case 0x90:
-                midi[note - firstNoteIndex] = velocity / 0x7f
-                break
-              case 0x80:
-                midi[note - firstNoteIndex] = 0
-                break
+        midiInputPorts = midiAccess.inputs
+        document.getElementById('midi-input-group').hidden = false
+        updateMIDIInputs()
+
+        sourceSelect.add(new Option('MIDI input only', '#'))
+
+        // audio-to-MIDI output
+        midiOutputPorts = midiAccess.outputs
+        document.getElementById('midi-output-group').hidden = false
+        updateMIDIOutputs()
+
+        // hot-plug
+        midiAccess.onstatechange = event => {
+          console.log('[pianolizer] MIDI', event.port.type, event.port.name, event.port.state)
+          if (event.port.type === 'input') {
+            if (event.port.state === 'disconnected') {
+              // whatever was held on the unplugged device would hang otherwise
+              midiInput.reset()
             }
+            updateMIDIInputs()
+          } else {
+            updateMIDIOutputs()
           }
         }
-
-        sourceSelect.add(new Option('MIDI input only', '#'))
       })
 }
 
@@ -264,6 +1424,9 @@ function setupMIDI () {
  */
 function setupUI () {
   const playRestart = document.getElementById('play-restart')
+  const recordToggle = document.getElementById('record-toggle')
+  const levelsFileInput = document.getElementById('levels-file')
+  const midiFileInput = document.getElementById('midi-file')
   const pianolizerUI = document.getElementById('pianolizer')
 
   if (configurationToggle !== null && configurationPanel !== null && configurationBackdrop !== null) {
@@ -301,9 +1464,37 @@ function setupUI () {
     console.log('[pianolizer] source changed to', event.target.value)
     audioElement.pause()
     playToggle.innerText = 'Play'
+    showFullSpectrogram(false)
+    keyDetector.reset()
+    if (tempoTracker !== undefined) {
+      tempoTracker.reset()
+    }
+    if (levelsPlayer !== null) {
+      levelsPlayer.pause()
+    }
+    if (midiFilePlayer !== null) {
+      midiFilePlayer.pause()
+    }
+    resetPlayAlong()
 
     const selectedValue = event.target.value
-    if (selectedValue.charAt(0) === '*') {
+    if (isMIDIFileSource()) {
+      // the microphone stays connected, if it was, so that one can play along
+      playToggle.disabled = true
+      playRestart.disabled = true
+      if (selectedValue === '%') {
+        midiFileInput.click()
+      } else {
+        fetch(selectedValue)
+          .then(response => response.arrayBuffer())
+          .then(data => {
+            loadMIDIFile(data, selectedValue.split('/').pop())
+            playToggle.disabled = false
+            playRestart.disabled = false
+          })
+          .catch(error => window.alert('Unable to load the MIDI file: ' + error))
+      }
+    } else if (selectedValue.charAt(0) === '*') {
       // microphone source
       playToggle.disabled = true
       playRestart.disabled = true
@@ -313,6 +1504,8 @@ function setupUI () {
       playToggle.disabled = false
       playRestart.disabled = false
       try { microphoneSource.disconnect(pianolizer) } catch { console.warn('Microphone was not connected') }
+      microphoneConnected = false
+      updatePlayAlongControls()
       audioElement.style['pointer-events'] = 'auto'
       if (selectedValue === '/') {
         // only Chrome & Opera can do this at the time of writing
@@ -322,13 +1515,119 @@ function setupUI () {
         playToggle.disabled = true
         playRestart.disabled = true
         levels.fill(0.0)
+        channelLevels.forEach(channel => channel.fill(0.0))
+      } else if (selectedValue === '@') {
+        // replay of the recorded levels, without audio
+        levels.fill(0.0)
+        channelLevels.forEach(channel => channel.fill(0.0))
+        playToggle.disabled = levelsPlayer === null
+        playRestart.disabled = levelsPlayer === null
+        levelsFileInput.click()
       } else {
         audioElement.src = `${selectedValue}?_=${Date.now()}` // never cache
+        audioFileName = selectedValue.split('/').pop()
       }
     }
   }
 
+  levelsFileInput.onchange = async () => {
+    const file = levelsFileInput.files[0]
+    if (file === undefined) {
+      return
+    }
+    levelsFileInput.value = ''
+
+    let recording
+    try {
+      recording = LevelsRecording.parse(await file.text(), keyboardRange.firstNote, currentScale())
+    } catch (error) {
+      window.alert('Unable to load the recorded levels: ' + error)
+      return
+    }
+    console.log('[pianolizer] recorded levels loaded:', recording.length, 'frames,', recording.duration, 'seconds')
+    levelsPlayer = new LevelsPlayer(recording)
+    spectrogram.clear()
+    playToggle.disabled = false
+    playRestart.disabled = false
+  }
+
+  midiFileInput.onchange = async () => {
+    const file = midiFileInput.files[0]
+    if (file === undefined) {
+      return
+    }
+    midiFileInput.value = ''
+
+    try {
+      loadMIDIFile(await file.arrayBuffer(), file.name)
+    } catch (error) {
+      window.alert('Unable to load the MIDI file: ' + error)
+      return
+    }
+    playToggle.disabled = false
+    playRestart.disabled = false
+  }
+
+  tunerInput.onchange = event => {
+    const value = event.target.checked
+    localStorage.setItem('tuner', value)
+    document.getElementById('tuner').hidden = !value
+    tunerCents = null
+    if (pianolizer !== undefined) {
+      pianolizer.port.postMessage({ tuner: value, pitchTracking: value && analyzerSupports('pitchTracking') })
+    }
+    renderTuner(null)
+  }
+
+  playAlongInput.onchange = event => {
+    localStorage.setItem('playAlong', event.target.checked)
+    updatePlayAlongControls()
+    resetPlayAlong()
+  }
+
+  midiFileSynthInput.onchange = event => {
+    localStorage.setItem('midiFileSynth', event.target.checked)
+    if (midiSynth !== null && !event.target.checked) {
+      midiSynth.release()
+    }
+  }
+
   playToggle.onclick = async event => {
+    if (isMIDIFileSource()) {
+      if (midiFilePlayer.paused) {
+        console.log('[pianolizer] MIDI file playback started')
+        if (audioContext === undefined) {
+          await setupAudio()
+        }
+        if (midiSynth === null) {
+          midiSynth = new MIDISynth(audioContext, { pitchFork: parseFloat(searchParams.get(PITCHFORK)) || 440.0 })
+        }
+        midiFilePlayer.play()
+        playToggle.innerText = 'Pause'
+        if (playAlongScorer === null) {
+          resetPlayAlong()
+        }
+      } else {
+        console.log('[pianolizer] MIDI file playback paused')
+        midiFilePlayer.pause()
+        playToggle.innerText = 'Play'
+      }
+      return
+    }
+
+    if (sourceSelect.value === '@') {
+      if (levelsPlayer.paused) {
+        console.log('[pianolizer] replay started')
+        levelsPlayer.play()
+        playToggle.innerText = 'Pause'
+      } else {
+        console.log('[pianolizer] replay paused')
+        levelsPlayer.pause()
+        playToggle.innerText = 'Play'
+      }
+      return
+    }
+
     if (audioElement.paused) {
       console.log('[pianolizer] playback started')
       await setupAudio()
@@ -343,8 +1642,82 @@ function setupUI () {
 
   playRestart.onclick = event => {
     console.log('[pianolizer] playback restarted')
-    audioElement.load()
+    if (sourceSelect.value === '@') {
+      levelsPlayer.pause()
+      levelsPlayer.seek(0)
+    } else if (isMIDIFileSource()) {
+      midiFilePlayer.pause()
+      midiFilePlayer.seek(0)
+      resetPlayAlong()
+    } else {
+      audioElement.load()
+    }
     playToggle.innerText = 'Play'
+    keyDetector.reset()
+    if (tempoTracker !== undefined) {
+      tempoTracker.reset()
+    }
+  }
+
+  if (window.MediaRecorder === undefined || HTMLCanvasElement.prototype.captureStream === undefined) {
+    recordToggle.disabled = true
+    recordToggle.title = 'Recording is not supported by this browser'
+  }
+  recordToggle.onclick = async () => {
+    if (recorder.recording) {
+      const blob = await recorder.stop()
+      recordToggle.innerText = 'Record'
+      console.log('[pianolizer] recording stopped,', blob.size, 'bytes')
+
+      const a = document.createElement('a')
+      a.href = URL.createObjectURL(blob)
+      a.download = audioFileName.replace(/\.\w+$/, '') + '.webm'
+      a.click()
+      setTimeout(() => URL.revokeObjectURL(a.href))
+      return
+    }
+
+    if (isFileSource()) {
+      await setupAudio()
+    }
+    const source = isFileSource() ? audioSource : microphoneSource
+    if (source === undefined) {
+      window.alert('Select the audio source first')
+      return
+    }
+    recorder.start(audioContext, source)
+    recordToggle.innerText = 'Stop recording'
+    console.log('[pianolizer] recording started')
+  }
+
+  levelsRecordButton.onclick = async () => {
+    if (levelsRecording !== null) {
+      stopLevelsRecording()
+      return
+    }
+
+    if (sourceSelect.value === '@') {
+      window.alert('The recorded levels can not be recorded again')
+      return
+    }
+    if (isFileSource()) {
+      await setupAudio()
+    }
+    if (audioContext === undefined) {
+      window.alert('Select the audio source first')
+      return
+    }
+    levelsRecording = new LevelsRecording(keyboardRange.firstNote, keyboardRange.keysNum, {
+      ...currentScale(),
+      maxFrames: Math.ceil(LEVELS_RECORDING_MAX_DURATION * audioContext.sampleRate / RENDER_QUANTUM)
+    })
+    levelsRecordingStart = audioContext.currentTime
+    levelsRecordButton.innerText = 'Stop recording levels'
+    console.log('[pianolizer] levels recording started')
+  }
+
+  levelsFormatSelect.onchange = event => {
+    localStorage.setItem('levelsFormat', event.target.value)
   }
 
   rotationInput.oninput = event => {
@@ -353,6 +1726,13 @@ function setupUI () {
     palette.rotation = value
   }
 
+  secondsPerRowSelect.onchange = event => {
+    const value = parseFloat(event.target.value)
+    localStorage.setItem('secondsPerRow', value)
+    spectrogram.secondsPerRow = value
+    console.log('[pianolizer] spectrogram time scale updated to', value, 'seconds per row')
+  }
+
   smoothingInput.oninput = event => {
     const value = Math.pow(parseFloat(event.target.value), 3)
     localStorage.setItem('smoothing', value)
@@ -364,28 +1744,318 @@ function setupUI () {
   }
 
   thresholdInput.oninput = event => {
-    const value = Math.pow(parseFloat(event.target.value), 3)
-    localStorage.setItem('threshold', value)
-    document.getElementById('threshold-value').innerText = value.toFixed(3)
+    const position = parseFloat(event.target.value)
+    localStorage.setItem('threshold', Math.pow(position, 3))
+    const value = thresholdFromPosition(position)
+    document.getElementById('threshold-value').innerText = formatLevel(value)
     if (pianolizer !== undefined) {
       pianolizer.parameters.get('threshold').value = value
     }
-    console.log('[pianolizer] noise gate threshold updated to', value.toFixed(3))
+    console.log('[pianolizer] noise gate threshold updated to', formatLevel(value))
   }
 
-  if (practiceDurationSelect !== null) {
-    practiceDurationSelect.onchange = event => {
-      practiceDurationMinutes = parseInt(event.target.value)
-      localStorage.setItem('practiceDurationMinutes', practiceDurationMinutes)
-      resetPracticeTimer()
-      console.log('[pianolizer] practice timer duration updated to', practiceDurationMinutes, 'minutes')
+  channelViewSelect.onchange = event => {
+    const value = event.target.value
+    localStorage.setItem('channelView', value)
+    if (pianolizer !== undefined) {
+      pianolizer.port.postMessage({ perChannel: value !== 'mix' })
+    }
+    console.log('[pianolizer] stereo view updated to', value)
+  }
+
+  outputModeSelect.onchange = event => {
+    const value = event.target.value
+    localStorage.setItem('outputMode', value)
+    updateOutputModeControls()
+    if (pianolizer !== undefined) {
+      pianolizer.port.postMessage({ outputMode: value })
+    }
+    thresholdInput.dispatchEvent(new Event('input'))
+    console.log('[pianolizer] output scale updated to', value)
+  }
+
+  decibelFloorInput.onchange = event => {
+    const value = Math.min(-1, parseFloat(event.target.value) || -96)
+    event.target.value = value
+    localStorage.setItem('decibelFloor', value)
+    if (pianolizer !== undefined) {
+      pianolizer.port.postMessage({ decibelFloor: value })
+    }
+    thresholdInput.dispatchEvent(new Event('input'))
+    console.log('[pianolizer] dBFS floor updated to', value)
+  }
+
+  harmonicSuppressionInput.onchange = event => {
+    const value = event.target.checked
+    localStorage.setItem('harmonicSuppression', value)
+    if (pianolizer !== undefined) {
+      pianolizer.port.postMessage({ harmonicSuppression: value ? 1.0 : 0.0 })
+    }
+    console.log('[pianolizer] harmonic suppression', value ? 'enabled' : 'disabled')
+  }
+
+  // the tuning is baked into the worklet; once the audio is running, it has to be rebuilt from scratch
+  const applyTemperament = () => {
+    updateTemperamentControls()
+    console.log('[pianolizer] temperament updated to', temperamentSelect.value, 'on', tonicSelect.selectedOptions[0].innerText)
+    if (pianolizer !== undefined) {
+      window.location.reload()
+    }
+  }
+
+  temperamentSelect.onchange = event => {
+    localStorage.setItem('temperament', event.target.value)
+    applyTemperament()
+  }
+
+  tonicSelect.onchange = event => {
+    localStorage.setItem('tonic', event.target.value)
+    applyTemperament()
+  }
+
+  scalaFilesInput.onchange = async event => {
+    let scl = null
+    let kbm = null
+    for (const file of event.target.files) {
+      if (/\.kbm$/i.test(file.name)) {
+        kbm = await file.text()
+      } else {
+        scl = await file.text()
+      }
+    }
+
+    if (scl === null) {
+      window.alert('Please select the .scl file (optionally, together with the .kbm file)')
+      return
+    }
+    try {
+      // validate before persisting
+      const tuning = new ScalaTuning(44100, keyboardRange.keysNum, keyboardRange.referenceKey, 440.0, 1.0, scl, kbm)
+      console.log('[pianolizer] loaded Scala scale:', tuning.scale.description)
+    } catch (error) {
+      window.alert(`Invalid Scala file: ${error.message}`)
+      return
+    }
+
+    localStorage.setItem('scalaScale', scl)
+    if (kbm === null) {
+      localStorage.removeItem('scalaKeyboardMapping')
+    } else {
+      localStorage.setItem('scalaKeyboardMapping', kbm)
     }
+    applyTemperament()
   }
 
-  if (practiceTimerRestartButton !== null) {
-    practiceTimerRestartButton.onclick = () => {
+  practiceDurationInput.onchange = event => {
+    practiceDurationMinutes = Math.max(1, parseInt(event.target.value) || DEFAULT_PRACTICE_DURATION_MINUTES)
+    event.target.value = practiceDurationMinutes
+    localStorage.setItem('practiceDurationMinutes', practiceDurationMinutes)
+    resetPracticeTimer()
+    console.log('[pianolizer] practice timer duration updated to', practiceDurationMinutes, 'minutes')
+  }
+
+  // work blocks & breaks (in minutes), auto-pause (in seconds)
+  for (const [input, key, min, fallback] of [
+    [practiceBlockInput, 'practiceBlock', 0, 0],
+    [practiceBreakInput, 'practiceBreak', 0, 5],
+    [practiceSilenceInput, 'practiceSilence', 1, 10]
+  ]) {
+    input.onchange = event => {
+      const value = parseInt(event.target.value)
+      event.target.value = Number.isNaN(value) ? fallback : Math.max(min, value)
+      localStorage.setItem(key, event.target.value)
       resetPracticeTimer()
-      console.log('[pianolizer] practice timer restarted')
+    }
+  }
+
+  practiceAlertSelect.onchange = event => {
+    localStorage.setItem('practiceAlert', event.target.value)
+  }
+
+  practiceThresholdInput.oninput = event => {
+    practiceThreshold = parseFloat(event.target.value)
+    localStorage.setItem('practiceThreshold', event.target.value)
+    document.getElementById('practice-threshold-value').innerText = practiceThreshold.toFixed(2)
+  }
+
+  practiceTimerPauseButton.onclick = () => {
+    const now = performance.now() / 1000
+    if (practiceTimer.state === 'paused') {
+      practiceTimer.resume(now)
+    } else {
+      practiceTimer.hold(now)
+    }
+  }
+
+  practiceTimerRestartButton.onclick = () => {
+    resetPracticeTimer()
+    console.log('[pianolizer] practice timer restarted')
+  }
+
+  setInterval(() => {
+    practiceTimer.update(performance.now() / 1000)
+    renderPracticeTimer()
+  }, PRACTICE_TIMER_TICK)
+
+  document.getElementById('practice-history-toggle').onclick = async () => {
+    if (practiceHistory === null) {
+      window.alert('Practice history needs IndexedDB, which is not available')
+      return
+    }
+    await renderPracticeHistory()
+    practiceHistoryDialog.showModal()
+  }
+
+  document.getElementById('practice-history-close').onclick = () => {
+    practiceHistoryDialog.close()
+  }
+
+  document.getElementById('practice-history-export').onclick = async () => {
+    const json = practiceHistory.export(await practiceHistory.getAll())
+    const a = document.createElement('a')
+    a.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }))
+    a.download = 'pianolizer-practice.json'
+    a.click()
+    setTimeout(() => URL.revokeObjectURL(a.href))
+  }
+
+  const practiceHistoryFileInput = document.getElementById('practice-history-file')
+  document.getElementById('practice-history-import').onclick = () => {
+    practiceHistoryFileInput.click()
+  }
+
+  practiceHistoryFileInput.onchange = async () => {
+    const file = practiceHistoryFileInput.files[0]
+    practiceHistoryFileInput.value = ''
+    if (file === undefined) {
+      return
+    }
+    try {
+      const added = await practiceHistory.import(await file.text())
+      console.log('[pianolizer] imported', added, 'practice sessions from', file.name)
+      await renderPracticeHistory()
+    } catch (error) {
+      window.alert(`Unable to import ${file.name}: ${error.message}`)
+    }
+  }
+
+  // the session in progress survives closing the tab
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      savePracticeSession()
+    }
+  })
+
+  for (let channel = 0; channel < 16; channel++) {
+    midiInputChannelSelect.add(new Option(`Channel ${channel + 1}`, channel))
+    midiOutputChannelSelect.add(new Option(`Channel ${channel + 1}`, channel))
+  }
+
+  midiInputSelect.onchange = event => {
+    localStorage.setItem('midiInput', event.target.value)
+    midiInput.reset()
+  }
+
+  midiInputChannelSelect.onchange = event => {
+    localStorage.setItem('midiInputChannel', event.target.value)
+    midiInput.channel = parseInt(event.target.value)
+    midiInput.reset()
+  }
+
+  midiInputOffsetInput.onchange = event => {
+    localStorage.setItem('midiInputOffset', event.target.value)
+    midiInput.offset = parseInt(event.target.value) || 0
+    midiInput.reset()
+    updateMIDIInputRange()
+  }
+
+  midiOutputSelect.onchange = event => {
+    localStorage.setItem('midiOutput', event.target.value)
+    updateMIDISender()
+  }
+
+  midiOutputChannelSelect.onchange = event => {
+    localStorage.setItem('midiOutputChannel', event.target.value)
+    updateMIDISender()
+  }
+
+  midiOutputOffsetInput.onchange = event => {
+    localStorage.setItem('midiOutputOffset', event.target.value)
+    updateMIDISender()
+  }
+
+  midiOutputThresholdInput.oninput = event => {
+    localStorage.setItem('midiOutputThreshold', event.target.value)
+    document.getElementById('midi-output-threshold-value').innerText = parseFloat(event.target.value).toFixed(2)
+    updateMIDISender()
+  }
+
+  midiOutputHysteresisInput.oninput = event => {
+    localStorage.setItem('midiOutputHysteresis', event.target.value)
+    document.getElementById('midi-output-hysteresis-value').innerText = `${Math.round(100 * event.target.value)}%`
+    updateMIDISender()
+  }
+
+  // no hanging notes on the synthesizer
+  window.addEventListener('pagehide', () => {
+    if (midiSender !== null) {
+      midiSender.release()
+    }
+  })
+
+  midiFormatSelect.onchange = event => {
+    localStorage.setItem('midiFormat', event.target.value)
+  }
+
+  spectrogramModeSelect.onchange = async event => {
+    if (event.target.value === 'live') {
+      showFullSpectrogram(false)
+      return
+    }
+
+    if (!isFileSource()) {
+      window.alert('Whole file analysis needs an audio file as the source')
+      showFullSpectrogram(false)
+      return
+    }
+
+    if (analyzedSource !== audioElement.currentSrc) {
+      console.log('[pianolizer] whole file analysis started')
+      spectrogramModeSelect.disabled = true
+      try {
+        await analyzeWholeFile()
+      } catch (error) {
+        window.alert('Whole file analysis failed: ' + error)
+        showFullSpectrogram(false)
+        return
+      } finally {
+        spectrogramModeSelect.disabled = false
+      }
+    }
+    showFullSpectrogram(true)
+  }
+
+  window.addEventListener('resize', () => {
+    if (spectrogramModeSelect.value === 'full') {
+      fullSpectrogram.resize()
+    }
+  })
+
+  transcribeButton.onclick = async () => {
+    if (!isFileSource()) {
+      window.alert('Transcription needs an audio file as the source')
+      return
+    }
+
+    console.log('[pianolizer] transcription started')
+    transcribeButton.disabled = true
+    try {
+      await transcribeToMIDI(parseInt(midiFormatSelect.value))
+    } catch (error) {
+      window.alert('Transcription failed: ' + error)
+    } finally {
+      transcribeButton.disabled = false
+      transcribeButton.innerText = 'Transcribe to MIDI'
     }
   }
 
@@ -400,9 +2070,11 @@ function setupUI () {
         if (item.kind === 'file' && item.type.match('^audio/(flac|mpeg|ogg|x-wav)$')) {
           audioElement.pause()
           playToggle.innerText = 'Play'
+          showFullSpectrogram(false)
 
           const fileData = item.getAsFile()
           audioElement.src = URL.createObjectURL(fileData)
+          audioFileName = fileData.name
 
           sourceSelect.value = '?'
           document.getElementById('drop-label').innerText = fileData.name
@@ -458,6 +2130,21 @@ function setupUI () {
   } else {
     implementationWASM.checked = true
   }
+
+  const keyboardRangeSelect = document.getElementById('keyboard-range')
+  const presetNote = KEYBOARD_PRESETS[keyboardRange.keysNum]
+  if (presetNote === keyboardRange.firstNote) {
+    keyboardRangeSelect.value = keyboardRange.keysNum.toString()
+  } else {
+    const customOption = new Option(`Custom, ${keyboardRange.keysNum} keys`, '', true, true)
+    customOption.disabled = true
+    keyboardRangeSelect.add(customOption)
+  }
+  keyboardRangeSelect.onchange = event => {
+    searchParams.set(KEYS, event.target.value)
+    searchParams.delete(LOWEST)
+    window.location.search = searchParams.toString()
+  }
 }
 
 /**
@@ -466,34 +2153,134 @@ function setupUI () {
  * @return {Promise<void>} Resolves after the first animation frame request is issued.
  */
 async function app () {
+  let lastLevelsFrame = 0
+  let lastReplayTime = 0
+  const replayLevels = new Float32Array(keyboardRange.keysNum)
+
   /**
    * Animation loop that refreshes keyboard and spectrogram visuals.
    *
    * @param {DOMHighResTimeStamp} currentTimestamp Frame timestamp supplied by rAF.
    */
   function draw (currentTimestamp) {
-    if (playToggle.disabled || !audioElement.paused) {
-      const audioColors = palette.getKeyColors(levels)
-      const midiColors = palette.getKeyColors(midi)
+    if (levelsRing !== null) {
+      levelsRing.read(consumeLevels)
+    }
+    if (midiFilePlayer !== null) {
+      midiFilePlayer.update()
+    }
+    // audio time covered by the levels since the previous animation frame (rAF is throttled in the background tabs, hence the cap)
+    let elapsed = audioContext === undefined
+      ? 0
+      : Math.min(levelsFrame - lastLevelsFrame, audioContext.sampleRate) / audioContext.sampleRate
+    lastLevelsFrame = levelsFrame
+    const time = getTimelinePosition()
+    if (isReplaying()) {
+      levelsPlayer.recording.levelsAt(time, replayLevels, keyboardRange.firstNote)
+      updateLevels([replayLevels], levelsPlayer.recording)
+      // the replay loops & seeks
+      elapsed = Math.max(0, Math.min(time - lastReplayTime, 1))
+      lastReplayTime = time
+    }
+    if (playToggle.disabled || !audioElement.paused || isReplaying() || isMIDIFilePlaying()) {
+      const channelView = channelViewSelect.value
+      const audioColors = channelView === 'overlay'
+        ? palette.getStereoColors(channelLevels[0], channelLevels[1])
+        : palette.getKeyColors(levels)
+      for (let key = 0; key < midiLevels.length; key++) {
+        midiLevels[key] = Math.max(midiInput.levels[key], midiFilePart.levels[key])
+      }
+      const midiColors = palette.getKeyColors(midiLevels)
       pianoKeyboard.update(audioColors, midiColors)
-      spectrogram.update(audioColors, midiColors)
+      if (channelView === 'split') {
+        spectrogram.update(palette.getKeyColors(channelLevels[0]), midiColors, {
+          time,
+          beat: beatPending,
+          rightColors: palette.getKeyColors(channelLevels[1])
+        })
+      } else {
+        spectrogram.update(audioColors, midiColors, { time, beat: beatPending })
+      }
+      renderChord(chordRecognizer.recognize(levels))
+      keyDetector.update(levels, elapsed)
+      renderKey(keyDetector.estimate())
+      renderTempo(beatPending)
+      beatPending = false
+      if (tuner !== null && tunerInput.checked) {
+        if (isReplaying()) {
+          // the recorded levels went through the noise gate, and have no deviations
+          updateTunerAmplitudes([replayLevels], levelsPlayer.recording)
+        }
+        // the noise gate of the analyzer decides whether there's anything to tune
+        renderTuner(levels.some(level => level > 0)
+          ? tuner.estimate(tunerAmplitudes, isReplaying() ? null : tunerCents)
+          : null)
+      }
+    } else {
+      // keeps the history, but follows the seeking
+      spectrogram.moveTo(time)
+    }
+    if (spectrogramModeSelect.value === 'full') {
+      fullSpectrogram.update(audioElement.currentTime, !audioElement.paused)
+    }
+    if (recorder.recording) {
+      recorder.drawFrame()
     }
     window.requestAnimationFrame(draw)
   }
 
+  PracticeHistory.open()
+    .then(history => {
+      practiceHistory = history
+    })
+    .catch(error => console.warn('Practice history is not available:', error))
+
   const paletteData = await fetch('palette.json').then(response => response.json())
-  palette = new Palette(paletteData)
+  palette = new Palette(paletteData, keyboardRange.firstNote % 12)
 
-  const pianoKeyboard = new PianoKeyboard(document.getElementById('keyboard'))
+  const pianoKeyboard = new PianoKeyboard(
+    document.getElementById('keyboard'),
+    1,
+    keyboardRange.keysNum,
+    keyboardRange.firstNote
+  )
   pianoKeyboard.drawKeyboard()
-  const spectrogram = new Spectrogram(
+  spectrogram = new Spectrogram(
     document.getElementById('spectrogram'),
     pianoKeyboard.keySlices,
     parseInt(searchParams.get(HEIGHT)) || 600
   )
+  recorder = new VisualizationRecorder(spectrogram.canvasElement, pianoKeyboard)
+  spectrogram.onseek = time => {
+    if (isFileSource()) {
+      audioElement.currentTime = time
+    } else if (sourceSelect.value === '@' && levelsPlayer !== null) {
+      levelsPlayer.seek(time)
+    } else if (isMIDIFileSource() && midiFilePlayer !== null) {
+      midiFilePlayer.seek(time)
+      resetPlayAlong()
+    }
+  }
+  fullSpectrogram = new FullSpectrogram(
+    document.getElementById('full-spectrogram'),
+    document.getElementById('full-spectrogram-canvas'),
+    document.getElementById('full-spectrogram-spacer'),
+    pianoKeyboard.keySlices,
+    parseInt(searchParams.get(HEIGHT)) || 600,
+    palette
+  )
+  fullSpectrogram.onseek = time => {
+    audioElement.currentTime = time
+  }
 
   levels = new Float32Array(pianoKeyboard.keysNum)
-  midi = new Float32Array(pianoKeyboard.keysNum)
+  channelLevels = [new Float32Array(pianoKeyboard.keysNum), new Float32Array(pianoKeyboard.keysNum)]
+  midiInput = new MIDIInputHandler(keyboardRange.keysNum, keyboardRange.firstNote)
+  midiFilePart = new MIDIInputHandler(keyboardRange.keysNum, keyboardRange.firstNote)
+  midiLevels = new Float32Array(keyboardRange.keysNum)
+  chordRecognizer = new ChordRecognizer(keyboardRange.keysNum, keyboardRange.referenceKey)
+  keyDetector = new KeyDetector(keyboardRange.keysNum, keyboardRange.referenceKey)
+  onsetDetector = new OnsetDetector(keyboardRange.keysNum)
 
   setupMIDI()
   setupUI()
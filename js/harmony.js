@@ -0,0 +1,343 @@
+/**
+ * @file harmony.js
+ * @description Harmonic analysis of the levels reported by Pianolizer (pitch class profiles, chord & key recognition).
+ * @license MIT
+ */
+
+/**
+ * Pitch class names; index 0 is C.
+ */
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+
+/**
+ * Folds the per-key levels into the 12 pitch classes.
+ * Keys are indexed the same way as in PianoTuning, that is, relative to the reference key (which is an A).
+ *
+ * @class PitchClassProfile
+ * @example
+ * // 61 keys, A4 is the key #33
+ * const pcp = new PitchClassProfile(61, 33)
+ * // prints 0 (C) for the key #0 (C2):
+ * console.log(pcp.pitchClass(0))
+ * // energy of C, C#, D, ..., B
+ * const profile = pcp.fold(levels)
+ */
+export class PitchClassProfile {
+  /**
+   * Creates an instance of PitchClassProfile.
+   * @param {Number} [keysNum=61] Number of keys in the levels array.
+   * @param {Number} [referenceKey=33] Key index of A4.
+   * @param {Number} [threshold=0.05] Levels below this are ignored.
+   * @memberof PitchClassProfile
+   */
+  constructor (keysNum = 61, referenceKey = 33, threshold = 0.05) {
+    this.keysNum = keysNum
+    this.referenceKey = referenceKey
+    this.threshold = threshold
+    this.profile = new Float32Array(12)
+  }
+
+  /**
+   * Pitch class of the key.
+   *
+   * @param {Number} key Key index.
+   * @return {Number} 0 is C, 9 is A, 11 is B.
+   * @memberof PitchClassProfile
+   */
+  pitchClass (key) {
+    return (((9 + key - this.referenceKey) % 12) + 12) % 12
+  }
+
+  /**
+   * Sum the levels of every pitch class, across all the octaves.
+   *
+   * @param {Float32Array} levels Per-key levels, between 0.0 and 1.0.
+   * @return {Float32Array} 12 values (reused between the calls!).
+   * @memberof PitchClassProfile
+   */
+  fold (levels) {
+    this.profile.fill(0)
+    for (let key = 0; key < this.keysNum; key++) {
+      if (levels[key] >= this.threshold) {
+        this.profile[this.pitchClass(key)] += levels[key]
+      }
+    }
+    return this.profile
+  }
+
+  /**
+   * Find the lowest sounding key.
+   *
+   * @param {Float32Array} levels Per-key levels, between 0.0 and 1.0.
+   * @return {Number} Key index; -1 when nothing sounds.
+   * @memberof PitchClassProfile
+   */
+  lowestKey (levels) {
+    for (let key = 0; key < this.keysNum; key++) {
+      if (levels[key] >= this.threshold) {
+        return key
+      }
+    }
+    return -1
+  }
+}
+
+/**
+ * Matches the pitch class profile against the chord templates.
+ * The lowest sounding key tells the inversion.
+ *
+ * @class ChordRecognizer
+ * @example
+ * const chordRecognizer = new ChordRecognizer(61, 33)
+ * // for every frame of levels
+ * const chord = chordRecognizer.recognize(levels)
+ * if (chord !== null) {
+ *   // prints something like "Am7/G"
+ *   console.log(chord.name)
+ * }
+ */
+export class ChordRecognizer {
+  /**
+   * Creates an instance of ChordRecognizer.
+   * @param {Number} [keysNum=61] Number of keys in the levels array.
+   * @param {Number} [referenceKey=33] Key index of A4.
+   * @param {Object} [options] Recognition parameters.
+   * @param {Number} [options.threshold=0.05] Levels below this are ignored.
+   * @param {Number} [options.minScore=0.8] Minimum similarity between the profile & the template, from 0.0 to 1.0.
+   * @memberof ChordRecognizer
+   */
+  constructor (keysNum = 61, referenceKey = 33, { threshold = 0.05, minScore = 0.8 } = {}) {
+    this.pitchClassProfile = new PitchClassProfile(keysNum, referenceKey, threshold)
+    this.minScore = minScore
+  }
+
+  /**
+   * Chord templates, as the chord symbol suffix & the intervals from the root (in semitones).
+   * On ties, the earlier template wins.
+   *
+   * @readonly
+   * @static
+   * @memberof ChordRecognizer
+   */
+  static get QUALITIES () {
+    return [
+      ['', [0, 4, 7]],
+      ['m', [0, 3, 7]],
+      ['dim', [0, 3, 6]],
+      ['aug', [0, 4, 8]],
+      ['sus4', [0, 5, 7]],
+      ['sus2', [0, 2, 7]],
+      ['7', [0, 4, 7, 10]],
+      ['maj7', [0, 4, 7, 11]],
+      ['m7', [0, 3, 7, 10]],
+      ['m7b5', [0, 3, 6, 10]],
+      ['dim7', [0, 3, 6, 9]],
+      ['mMaj7', [0, 3, 7, 11]],
+      ['7sus4', [0, 5, 7, 10]],
+      ['6', [0, 4, 7, 9]],
+      ['m6', [0, 3, 7, 9]],
+      ['add9', [0, 2, 4, 7]],
+      ['9', [0, 2, 4, 7, 10]],
+      ['maj9', [0, 2, 4, 7, 11]],
+      ['m9', [0, 2, 3, 7, 10]],
+      ['11', [0, 2, 4, 5, 7, 10]],
+      ['13', [0, 2, 4, 7, 9, 10]]
+    ]
+  }
+
+  /**
+   * Recognize the chord.
+   *
+   * @param {Float32Array} levels Per-key levels, between 0.0 and 1.0.
+   * @return {Object|null} Object containing the name (chord symbol), root & bass (pitch classes), quality (symbol suffix),
+   * inversion (0 is the root position) & score; null when less than 3 pitch classes sound or nothing matches well enough.
+   * @memberof ChordRecognizer
+   */
+  recognize (levels) {
+    const profile = this.pitchClassProfile.fold(levels)
+    let active = 0
+    let magnitude = 0
+    for (let i = 0; i < 12; i++) {
+      if (profile[i] > 0) {
+        active++
+        magnitude += profile[i] * profile[i]
+      }
+    }
+    if (active < 3) {
+      return null
+    }
+    magnitude = Math.sqrt(magnitude)
+
+    const bass = this.pitchClassProfile.pitchClass(this.pitchClassProfile.lowestKey(levels))
+    let best = null
+    let bestRank = 0
+    for (const [quality, intervals] of ChordRecognizer.QUALITIES) {
+      for (let root = 0; root < 12; root++) {
+        // cosine similarity between the profile & the binary template
+        let dot = 0
+        for (const interval of intervals) {
+          dot += profile[(root + interval) % 12]
+        }
+        const score = dot / (magnitude * Math.sqrt(intervals.length))
+        // among the enharmonic equivalents (C6 & Am7, for instance), the one rooted on the bass wins
+        const rank = score + (root === bass ? 1e-3 : 0)
+        if (rank > bestRank + 1e-9) {
+          bestRank = rank
+          best = { quality, intervals, root, score }
+        }
+      }
+    }
+
+    if (best === null || best.score < this.minScore) {
+      return null
+    }
+
+    const bassInterval = (bass - best.root + 12) % 12
+    const inversion = best.intervals.indexOf(bassInterval)
+    return {
+      name: NOTE_NAMES[best.root] + best.quality + (inversion > 0 ? '/' + NOTE_NAMES[bass] : ''),
+      root: best.root,
+      bass,
+      quality: best.quality,
+      inversion: Math.max(0, inversion),
+      score: best.score
+    }
+  }
+}
+
+/**
+ * Estimates the key of the piece by correlating a decaying chromagram with the Krumhansl-Kessler key profiles
+ * (the Krumhansl-Schmuckler algorithm).
+ *
+ * @class KeyDetector
+ * @see {@link http://rnhart.net/articles/key-finding/}
+ * @example
+ * const keyDetector = new KeyDetector(61, 33)
+ * // for every frame of levels, along with the elapsed time (in seconds)
+ * keyDetector.update(levels, 1 / 60)
+ * // prints something like "F minor"
+ * console.log(keyDetector.estimate().name)
+ */
+export class KeyDetector {
+  /**
+   * Creates an instance of KeyDetector.
+   * @param {Number} [keysNum=61] Number of keys in the levels array.
+   * @param {Number} [referenceKey=33] Key index of A4.
+   * @param {Object} [options] Detection parameters.
+   * @param {Number} [options.threshold=0.05] Levels below this are ignored.
+   * @param {Number} [options.halfLife=15] How long it takes for the past chromagram to fade by half, in seconds.
+   * Shorter values follow the modulations faster, at the expense of stability.
+   * @memberof KeyDetector
+   */
+  constructor (keysNum = 61, referenceKey = 33, { threshold = 0.05, halfLife = 15 } = {}) {
+    this.pitchClassProfile = new PitchClassProfile(keysNum, referenceKey, threshold)
+    this.halfLife = halfLife
+    this.chromagram = new Float64Array(12)
+  }
+
+  /**
+   * Krumhansl-Kessler probe tone ratings; index 0 is the tonic.
+   *
+   * @readonly
+   * @static
+   * @memberof KeyDetector
+   */
+  static get PROFILES () {
+    return {
+      major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+      minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+    }
+  }
+
+  /**
+   * Tonic names, spelled the way the key signatures usually are (Bb major, but C# minor).
+   *
+   * @readonly
+   * @static
+   * @memberof KeyDetector
+   */
+  static get TONIC_NAMES () {
+    return {
+      major: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'],
+      minor: ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B']
+    }
+  }
+
+  /**
+   * Forget everything heard so far (for instance, when the audio source changes).
+   *
+   * @memberof KeyDetector
+   */
+  reset () {
+    this.chromagram.fill(0)
+  }
+
+  /**
+   * Accumulate a frame of levels.
+   *
+   * @param {Float32Array} levels Per-key levels, between 0.0 and 1.0.
+   * @param {Number} elapsed Time since the previous update, in seconds.
+   * @memberof KeyDetector
+   */
+  update (levels, elapsed) {
+    const decay = Math.pow(0.5, elapsed / this.halfLife)
+    const profile = this.pitchClassProfile.fold(levels)
+    for (let i = 0; i < 12; i++) {
+      this.chromagram[i] = decay * this.chromagram[i] + elapsed * profile[i]
+    }
+  }
+
+  /**
+   * Correlate the chromagram with all the 24 keys.
+   *
+   * @return {Object|null} Object containing the name ("F minor"), tonic (pitch class), mode ('major' or 'minor'),
+   * correlation (from -1.0 to 1.0) & confidence (how far ahead of the runner-up key the estimate is, from 0.0 to 1.0);
+   * null when nothing was heard yet.
+   * @memberof KeyDetector
+   */
+  estimate () {
+    const chromagramMean = this.chromagram.reduce((sum, value) => sum + value, 0) / 12
+    let chromagramVariance = 0
+    for (let i = 0; i < 12; i++) {
+      chromagramVariance += (this.chromagram[i] - chromagramMean) ** 2
+    }
+    if (chromagramVariance === 0) {
+      return null
+    }
+
+    let best = null
+    let runnerUp = -1
+    for (const [mode, profile] of Object.entries(KeyDetector.PROFILES)) {
+      const profileMean = profile.reduce((sum, value) => sum + value, 0) / 12
+      let profileVariance = 0
+      for (let i = 0; i < 12; i++) {
+        profileVariance += (profile[i] - profileMean) ** 2
+      }
+
+      for (let tonic = 0; tonic < 12; tonic++) {
+        // Pearson correlation between the chromagram & the profile transposed to the tonic
+        let covariance = 0
+        for (let i = 0; i < 12; i++) {
+          covariance += (this.chromagram[(tonic + i) % 12] - chromagramMean) * (profile[i] - profileMean)
+        }
+        const correlation = covariance / Math.sqrt(chromagramVariance * profileVariance)
+        if (best === null || correlation > best.correlation) {
+          if (best !== null) {
+            runnerUp = best.correlation
+          }
+          best = { tonic, mode, correlation }
+        } else if (correlation > runnerUp) {
+          runnerUp = correlation
+        }
+      }
+    }
+
+    return {
+      name: `${KeyDetector.TONIC_NAMES[best.mode][best.tonic]} ${best.mode}`,
+      tonic: best.tonic,
+      mode: best.mode,
+      correlation: best.correlation,
+      confidence: best.correlation > runnerUp ? (best.correlation - runnerUp) / (1 - runnerUp) : 0
+    }
+  }
+}
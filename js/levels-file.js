@@ -0,0 +1,392 @@
+/**
+ * @file levels-file.js
+ * @description Serialization of the recorded level frames (CSV, JSON & NDJSON), and their replay.
+ * @license MIT
+ */
+
+/**
+ * Format the number the same way the default C++ ostream formatting does (printf's %g with precision 6).
+ *
+ * @param {number} value Number to format.
+ * @return {string} Shortest representation with up to 6 significant digits.
+ */
+export function formatDecimal (value) {
+  if (value === 0) {
+    return '0'
+  }
+
+  const [mantissa, exponent] = value.toExponential(5).split('e')
+  const power = parseInt(exponent)
+  if (power < -4 || power >= 6) {
+    const sign = power < 0 ? '-' : '+'
+    const digits = Math.abs(power).toString().padStart(2, '0')
+    return mantissa.replace(/\.?0+$/, '') + 'e' + sign + digits
+  }
+  return value.toFixed(5 - power).replace(/\.?0+$/, '')
+}
+
+/**
+ * Timestamped frames of per-key levels, stored back to back in a typed array that grows by doubling.
+ * The levels are serialized the same way as the decimal output mode of the CLI utility (`-d`), one frame per line:
+ * - CSV: the header is "time" followed by the MIDI note numbers of the keys; unless the levels are the normalized power,
+ *   the output scale follows the "time" in parentheses, e.g. "time (decibels -96)" (with the dBFS floor);
+ * - JSON: an object with firstNote, keysNum, outputMode, decibelFloor & frames (array of {time, levels});
+ * - NDJSON: {time, levels} per line (the keys & the output scale are the same as in the current settings).
+ *
+ * @class LevelsRecording
+ * @example
+ * const recording = new LevelsRecording(36, 61, { maxFrames: 100000 })
+ * // for every frame, until it is full
+ * if (!recording.add(time, levels)) {
+ *   console.log('recording is full')
+ * }
+ * const csv = recording.serialize('csv')
+ * // and back
+ * const copy = LevelsRecording.parse(csv)
+ */
+export class LevelsRecording {
+  /**
+   * Creates an instance of LevelsRecording.
+   * @param {Number} firstNote MIDI note number of the first key.
+   * @param {Number} keysNum Number of levels per frame.
+   * @param {Object} [options={}]
+   * @param {string} [options.outputMode='normalized'] Output scale of the levels (as in SlidingDFT).
+   * @param {Number} [options.decibelFloor=-96] The floor of the 'decibels' output scale.
+   * @param {Number} [options.maxFrames=Infinity] Beyond this many frames, add() refuses the new ones.
+   * @memberof LevelsRecording
+   */
+  constructor (firstNote, keysNum, { outputMode = 'normalized', decibelFloor = -96, maxFrames = Infinity } = {}) {
+    this.firstNote = firstNote
+    this.keysNum = keysNum
+    this.outputMode = outputMode
+    this.decibelFloor = decibelFloor
+    this.maxFrames = maxFrames
+    this.length = 0
+    this.times = new Float64Array(Math.min(1024, maxFrames))
+    this.levels = new Float32Array(this.times.length * keysNum)
+  }
+
+  /**
+   * Supported serialization formats, as the file name extensions.
+   *
+   * @readonly
+   * @static
+   * @memberof LevelsRecording
+   */
+  static get FORMATS () {
+    return ['csv', 'json', 'ndjson']
+  }
+
+  /**
+   * Time of the last frame, in seconds.
+   *
+   * @readonly
+   * @memberof LevelsRecording
+   */
+  get duration () {
+    return this.length === 0 ? 0 : this.times[this.length - 1]
+  }
+
+  /**
+   * Whether maxFrames is reached.
+   *
+   * @readonly
+   * @memberof LevelsRecording
+   */
+  get full () {
+    return this.length >= this.maxFrames
+  }
+
+  /**
+   * Append a frame.
+   *
+   * @param {Number} time Seconds since the beginning of the recording.
+   * @param {Float32Array} levels Per-key levels (copied).
+   * @return {Boolean} false when the recording is full, and the frame was dropped.
+   * @memberof LevelsRecording
+   */
+  add (time, levels) {
+    if (this.full) {
+      return false
+    }
+    if (this.length === this.times.length) {
+      const capacity = Math.min(this.times.length * 2, this.maxFrames)
+      const times = new Float64Array(capacity)
+      times.set(this.times)
+      this.times = times
+      const buffer = new Float32Array(capacity * this.keysNum)
+      buffer.set(this.levels)
+      this.levels = buffer
+    }
+    this.times[this.length] = time
+    this.levels.set(levels.subarray(0, this.keysNum), this.length * this.keysNum)
+    this.length++
+    return true
+  }
+
+  /**
+   * Levels of the frame.
+   *
+   * @param {Number} index Frame number.
+   * @return {Float32Array} View into the recording.
+   * @memberof LevelsRecording
+   */
+  frame (index) {
+    return this.levels.subarray(index * this.keysNum, (index + 1) * this.keysNum)
+  }
+
+  /**
+   * Copy the levels of the frame at the time (the latest one that is not later) into the target.
+   * The keys are matched by the MIDI note number, so the target keyboard may have a different range.
+   *
+   * @param {Number} time Seconds since the beginning of the recording.
+   * @param {Float32Array} target Per-key levels of the target keyboard.
+   * @param {Number} [targetFirstNote] MIDI note number of the first key of the target keyboard.
+   * @memberof LevelsRecording
+   */
+  levelsAt (time, target, targetFirstNote = this.firstNote) {
+    // binary search
+    let low = 0
+    let high = this.length - 1
+    while (low < high) {
+      const middle = (low + high + 1) >> 1
+      if (this.times[middle] <= time) {
+        low = middle
+      } else {
+        high = middle - 1
+      }
+    }
+
+    target.fill(0)
+    if (this.length === 0 || this.times[low] > time) {
+      return
+    }
+    const frame = this.frame(low)
+    const offset = this.firstNote - targetFirstNote
+    for (let key = Math.max(0, -offset); key < this.keysNum && key + offset < target.length; key++) {
+      target[key + offset] = frame[key]
+    }
+  }
+
+  /**
+   * Serialize all the frames, piecewise: the file can be assembled from the chunks without building one huge string,
+   * for instance, as a Blob.
+   *
+   * @param {string} format One of the LevelsRecording.FORMATS.
+   * @param {Number} [framesPerChunk=1024] How many frames each chunk holds.
+   * @yields {string} Consecutive pieces of the file contents.
+   * @memberof LevelsRecording
+   */
+  * chunks (format, framesPerChunk = 1024) {
+    if (!LevelsRecording.FORMATS.includes(format)) {
+      throw new RangeError(`format must be one of: ${LevelsRecording.FORMATS.join(', ')}`)
+    }
+
+    const formatFrame = i => `{"time":${formatDecimal(this.times[i])},"levels":[${Array.from(this.frame(i), formatDecimal).join(',')}]}`
+    let separator = '\n'
+    if (format === 'csv') {
+      const notes = Array.from({ length: this.keysNum }, (_, key) => this.firstNote + key)
+      yield [this.outputModeColumn(), ...notes].join(',') + '\n'
+    } else if (format === 'json') {
+      yield `{"firstNote":${this.firstNote},"keysNum":${this.keysNum},` +
+        `"outputMode":"${this.outputMode}","decibelFloor":${formatDecimal(this.decibelFloor)},"frames":[\n`
+      separator = ',\n'
+    }
+
+    for (let start = 0; start < this.length; start += framesPerChunk) {
+      const lines = []
+      for (let i = start; i < Math.min(start + framesPerChunk, this.length); i++) {
+        lines.push(format === 'csv'
+          ? [formatDecimal(this.times[i]), ...Array.from(this.frame(i), formatDecimal)].join(',')
+          : formatFrame(i))
+      }
+      yield lines.join(separator) + (start + framesPerChunk < this.length ? separator : '\n')
+    }
+
+    if (format === 'json') {
+      yield ']}\n'
+    }
+  }
+
+  /**
+   * Serialize all the frames at once.
+   *
+   * @param {string} format One of the LevelsRecording.FORMATS.
+   * @return {string} File contents.
+   * @memberof LevelsRecording
+   */
+  serialize (format) {
+    return Array.from(this.chunks(format)).join('')
+  }
+
+  /**
+   * First column of the CSV header: "time", followed by the output scale unless it is the normalized power.
+   *
+   * @return {string}
+   * @memberof LevelsRecording
+   */
+  outputModeColumn () {
+    if (this.outputMode === 'normalized') {
+      return 'time'
+    } else if (this.outputMode === 'decibels') {
+      return `time (decibels ${formatDecimal(this.decibelFloor)})`
+    }
+    return `time (${this.outputMode})`
+  }
+
+  /**
+   * Tell NDJSON from JSON: whether the line holds a whole frame.
+   *
+   * @param {string} line First line of the file.
+   * @return {Boolean}
+   * @memberof LevelsRecording
+   */
+  static isFrame (line) {
+    try {
+      return Array.isArray(JSON.parse(line).levels)
+    } catch {
+      return false
+    }
+  }
+
+  /**
+   * Deserialize any of the supported formats.
+   *
+   * @param {string} text File contents.
+   * @param {Number} [defaultFirstNote=36] MIDI note number of the first key, for the formats that don't store it (NDJSON).
+   * @param {Object} [defaultScale={}] Output scale, for the formats that don't store it (NDJSON).
+   * @param {string} [defaultScale.outputMode='normalized']
+   * @param {Number} [defaultScale.decibelFloor=-96]
+   * @return {LevelsRecording}
+   * @throws {SyntaxError} On the malformed input.
+   * @memberof LevelsRecording
+   */
+  static parse (text, defaultFirstNote = 36, { outputMode = 'normalized', decibelFloor = -96 } = {}) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '')
+    if (lines.length === 0) {
+      throw new SyntaxError('no frames found')
+    }
+
+    const header = lines[0].match(/^time(?: \((\w+)(?: (\S+))?\))?,/)
+    if (header !== null) {
+      const notes = lines[0].split(',').slice(1).map(note => parseInt(note))
+      if (notes.some(isNaN)) {
+        throw new SyntaxError('CSV header must list the MIDI note numbers')
+      }
+      const recording = new LevelsRecording(notes[0], notes.length, {
+        outputMode: header[1] ?? 'normalized',
+        decibelFloor: header[2] === undefined ? -96 : parseFloat(header[2])
+      })
+      for (const line of lines.slice(1)) {
+        const [time, ...levels] = line.split(',').map(parseFloat)
+        recording.add(time, Float32Array.from(levels))
+      }
+      return recording
+    }
+
+    let frames
+    let firstNote = defaultFirstNote
+    let scale = { outputMode, decibelFloor }
+    if (LevelsRecording.isFrame(lines[0])) {
+      frames = lines.map(line => JSON.parse(line))
+    } else {
+      const data = JSON.parse(text)
+      if (!Array.isArray(data.frames)) {
+        throw new SyntaxError('JSON must contain the frames array')
+      }
+      frames = data.frames
+      firstNote = data.firstNote
+      // the files saved before the output scale was stored hold the normalized power
+      scale = { outputMode: data.outputMode ?? 'normalized', decibelFloor: data.decibelFloor ?? -96 }
+    }
+    if (frames.length === 0) {
+      throw new SyntaxError('no frames found')
+    }
+    const recording = new LevelsRecording(firstNote, frames[0].levels.length, scale)
+    for (const frame of frames) {
+      recording.add(frame.time, Float32Array.from(frame.levels))
+    }
+    return recording
+  }
+}
+
+/**
+ * Replays a LevelsRecording in real time, looping at the end.
+ *
+ * @class LevelsPlayer
+ * @example
+ * const player = new LevelsPlayer(recording)
+ * player.play()
+ * // once per animation frame
+ * recording.levelsAt(player.currentTime, levels)
+ */
+export class LevelsPlayer {
+  /**
+   * Creates an instance of LevelsPlayer.
+   * @param {LevelsRecording} recording What to replay.
+   * @memberof LevelsPlayer
+   */
+  constructor (recording) {
+    this.recording = recording
+    this.position = 0
+    this.startedAt = null
+  }
+
+  /**
+   * Whether the replay is paused.
+   *
+   * @readonly
+   * @memberof LevelsPlayer
+   */
+  get paused () {
+    return this.startedAt === null
+  }
+
+  /**
+   * Replay position, in seconds.
+   *
+   * @readonly
+   * @memberof LevelsPlayer
+   */
+  get currentTime () {
+    const duration = this.recording.duration
+    const position = this.paused
+      ? this.position
+      : this.position + (performance.now() - this.startedAt) / 1000
+    return duration > 0 ? position % duration : 0
+  }
+
+  /**
+   * Start or resume the replay.
+   *
+   * @memberof LevelsPlayer
+   */
+  play () {
+    if (this.paused) {
+      this.startedAt = performance.now()
+    }
+  }
+
+  /**
+   * Pause the replay.
+   *
+   * @memberof LevelsPlayer
+   */
+  pause () {
+    this.position = this.currentTime
+    this.startedAt = null
+  }
+
+  /**
+   * Jump to the position.
+   *
+   * @param {Number} time Seconds.
+   * @memberof LevelsPlayer
+   */
+  seek (time) {
+    this.position = time
+    if (!this.paused) {
+      this.startedAt = performance.now()
+    }
+  }
+}
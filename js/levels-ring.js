@@ -0,0 +1,164 @@
+/**
+ * @file levels-ring.js
+ * @description Lock-free transport of the levels from the audio worklet to the main thread.
+ * @license MIT
+ */
+
+/**
+ * Single-producer, single-consumer ring of level frames in a SharedArrayBuffer.
+ * The worklet writes one frame per processed block, along with its timestamp (currentFrame);
+ * the main thread catches up with all the frames written since the last read, once per animation frame.
+ * No locks are needed: the writer publishes the frame counter atomically, after the frame is complete,
+ * and the reader copies every frame out, then checks the counter again (as a seqlock does) to drop the frames the writer has lapped meanwhile.
+ *
+ * @class LevelsRing
+ * @example
+ * // main thread
+ * const ring = LevelsRing.create(61)
+ * const node = new AudioWorkletNode(audioContext, 'pianolizer-worklet', { processorOptions: { levelsBuffer: ring.buffer } })
+ * // worklet
+ * const ring = new LevelsRing(options.processorOptions.levelsBuffer)
+ * ring.write([levels], currentFrame)
+ * // main thread, once per animation frame
+ * ring.read((channelLevels, currentFrame) => console.log(currentFrame / sampleRate, channelLevels[0]))
+ */
+export class LevelsRing {
+  /**
+   * Wraps a buffer allocated by LevelsRing.create().
+   * @param {SharedArrayBuffer} buffer Shared memory; the dimensions are stored in its header.
+   * @memberof LevelsRing
+   */
+  constructor (buffer) {
+    this.buffer = buffer
+    this.header = new Int32Array(buffer, 0, LevelsRing.HEADER_SIZE)
+    const [, keysNum, maxChannels, capacity] = this.header
+    this.keysNum = keysNum
+    this.maxChannels = maxChannels
+    this.capacity = capacity
+    this.mask = capacity - 1
+
+    let offset = LevelsRing.HEADER_SIZE * Int32Array.BYTES_PER_ELEMENT
+    this.timestamps = new Float64Array(buffer, offset, capacity)
+    offset += capacity * Float64Array.BYTES_PER_ELEMENT
+    this.channelCounts = new Int32Array(buffer, offset, capacity)
+    offset += capacity * Int32Array.BYTES_PER_ELEMENT
+    this.levels = new Float32Array(buffer, offset, capacity * maxChannels * keysNum)
+
+    // views of every slot, so that the writer doesn't allocate anything in the audio thread
+    this.slots = []
+    for (let slot = 0; slot < capacity; slot++) {
+      const channels = []
+      for (let channel = 0; channel < maxChannels; channel++) {
+        const start = (slot * maxChannels + channel) * keysNum
+        channels.push(this.levels.subarray(start, start + keysNum))
+      }
+      this.slots.push(channels)
+    }
+    // reader's copy of the current frame
+    this.frame = []
+    for (let channel = 0; channel < maxChannels; channel++) {
+      this.frame.push(new Float32Array(keysNum))
+    }
+    this.readIndex = Atomics.load(this.header, 0)
+  }
+
+  /**
+   * Header: frames written so far, keysNum, maxChannels & capacity (as 32-bit integers).
+   *
+   * @readonly
+   * @static
+   * @memberof LevelsRing
+   */
+  static get HEADER_SIZE () {
+    return 4
+  }
+
+  /**
+   * Whether the shared memory can be used at all; it requires the cross-origin isolation.
+   *
+   * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/crossOriginIsolated}
+   * @return {Boolean}
+   * @memberof LevelsRing
+   */
+  static isSupported () {
+    return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true
+  }
+
+  /**
+   * Allocate the shared memory.
+   *
+   * @param {Number} keysNum Number of levels per channel.
+   * @param {Number} [maxChannels=2] Channels per frame, at most.
+   * @param {Number} [requestedCapacity=512] Frames in the ring (rounded up to a power of 2, so that the frame counter can wrap around);
+   * 512 blocks of 128 samples hold about 1.5 seconds at 44100Hz.
+   * @return {LevelsRing}
+   * @memberof LevelsRing
+   */
+  static create (keysNum, maxChannels = 2, requestedCapacity = 512) {
+    const capacity = 1 << Math.ceil(Math.log2(requestedCapacity))
+    const byteLength = LevelsRing.HEADER_SIZE * Int32Array.BYTES_PER_ELEMENT +
+      capacity * (Float64Array.BYTES_PER_ELEMENT + Int32Array.BYTES_PER_ELEMENT) +
+      capacity * maxChannels * keysNum * Float32Array.BYTES_PER_ELEMENT
+    const buffer = new SharedArrayBuffer(byteLength)
+    new Int32Array(buffer, 0, LevelsRing.HEADER_SIZE).set([0, keysNum, maxChannels, capacity])
+    return new LevelsRing(buffer)
+  }
+
+  /**
+   * Append a frame (producer side).
+   *
+   * @param {Float32Array[]} channelLevels Levels of every channel; the ones beyond maxChannels are dropped.
+   * @param {Number} currentFrame Timestamp of the frame, in samples.
+   * @memberof LevelsRing
+   */
+  write (channelLevels, currentFrame) {
+    const writeIndex = Atomics.load(this.header, 0)
+    const slot = writeIndex & this.mask
+    const channelsNum = Math.min(channelLevels.length, this.maxChannels)
+    for (let channel = 0; channel < channelsNum; channel++) {
+      this.slots[slot][channel].set(channelLevels[channel])
+    }
+    this.channelCounts[slot] = channelsNum
+    this.timestamps[slot] = currentFrame
+    // publish
+    Atomics.store(this.header, 0, (writeIndex + 1) | 0)
+  }
+
+  /**
+   * Consume all the frames written since the previous call (consumer side).
+   * When the reader falls behind by more than the capacity (for instance, in a background tab, or because of a slow callback),
+   * the frames that are overwritten are skipped.
+   *
+   * @param {Function} callback Receives the levels of every channel (copies that are only valid during the call) & the timestamp of each frame, oldest first.
+   * @return {Number} How many frames were consumed.
+   * @memberof LevelsRing
+   */
+  read (callback) {
+    const end = Atomics.load(this.header, 0)
+    let consumed = 0
+    while (((end - this.readIndex) | 0) > 0) {
+      // leave a margin, as the writer might be filling in the oldest slot right now
+      let writeIndex = Atomics.load(this.header, 0)
+      if (((writeIndex - this.readIndex) | 0) > this.capacity - 1) {
+        this.readIndex = (writeIndex - this.capacity + 1) | 0
+      }
+
+      const slot = this.readIndex & this.mask
+      const channelsNum = this.channelCounts[slot]
+      for (let channel = 0; channel < channelsNum; channel++) {
+        this.frame[channel].set(this.slots[slot][channel])
+      }
+      const timestamp = this.timestamps[slot]
+
+      // the copy is consistent unless the writer got to the slot in the meantime
+      writeIndex = Atomics.load(this.header, 0)
+      if (((writeIndex - this.readIndex) | 0) > this.capacity - 1) {
+        continue
+      }
+      callback(this.frame.slice(0, channelsNum), timestamp)
+      this.readIndex = (this.readIndex + 1) | 0
+      consumed++
+    }
+    return consumed
+  }
+}
@@ -0,0 +1,405 @@
+/**
+ * @file midi-file.js
+ * @description Standard MIDI File (SMF) serialization & parsing.
+ * @see {@link http://www.music.mcgill.ca/~ich/classes/mumt306/StandardMIDIfileformat.html}
+ * @license MIT
+ */
+
+/**
+ * Builds Standard MIDI Files out of note events (for instance, the ones emitted by NoteTracker).
+ *
+ * @class MIDIFileWriter
+ * @example
+ * // same defaults as misc/transcribe2midi.pl
+ * const writer = new MIDIFileWriter(960, 500000)
+ * writer.addTrack([
+ *   { type: 'noteon', time: 0.0, note: 69, velocity: 100 },
+ *   { type: 'noteoff', time: 0.5, note: 69, velocity: 64 }
+ * ], 0, 'Piano')
+ * // type 1 file as Uint8Array
+ * const data = writer.build(1)
+ */
+export class MIDIFileWriter {
+  /**
+   * Creates an instance of MIDIFileWriter.
+   * @param {Number} [division=960] Ticks per quarter note.
+   * @param {Number} [tempo=500000] Microseconds per quarter note (120 BPM by default).
+   * @memberof MIDIFileWriter
+   */
+  constructor (division = 960, tempo = 500000) {
+    if (division < 1 || division > 0x7fff) {
+      throw new RangeError('division must be between 1 and 32767 ticks per quarter note')
+    } else if (tempo < 1 || tempo > 0xffffff) {
+      throw new RangeError('tempo must be between 1 and 16777215 microseconds per quarter note')
+    }
+
+    this.division = division | 0
+    this.tempo = tempo | 0
+    this.tracks = []
+  }
+
+  /**
+   * Convert the time to MIDI ticks.
+   *
+   * @param {Number} seconds Time in seconds.
+   * @return {Number} Time in ticks.
+   * @memberof MIDIFileWriter
+   */
+  secondsToTicks (seconds) {
+    return Math.round(seconds * 1000000 / this.tempo * this.division)
+  }
+
+  /**
+   * Add a track of note events.
+   *
+   * @param {Array} events Objects with type ('noteon' or 'noteoff'), time (in seconds), note (MIDI note number) & velocity (1 to 127).
+   * @param {Number} [channel=0] MIDI channel, from 0 to 15.
+   * @param {String} [name] Track name.
+   * @memberof MIDIFileWriter
+   */
+  addTrack (events, channel = 0, name = undefined) {
+    this.tracks.push({ events, channel, name })
+  }
+
+  /**
+   * Serialize everything.
+   *
+   * @param {Number} [format=1] 0 merges all the tracks into a single one; 1 writes the tempo map as a separate track, followed by the added tracks.
+   * @return {Uint8Array} Contents of the .mid file.
+   * @memberof MIDIFileWriter
+   */
+  build (format = 1) {
+    const tempoEvent = [0xff, 0x51, 0x03, (this.tempo >> 16) & 0xff, (this.tempo >> 8) & 0xff, this.tempo & 0xff]
+    const chunks = []
+
+    if (format === 0) {
+      const merged = []
+      for (const track of this.tracks) {
+        for (const event of track.events) {
+          merged.push({ ...event, channel: track.channel })
+        }
+      }
+      chunks.push(this.trackChunk(merged, [tempoEvent]))
+    } else if (format === 1) {
+      chunks.push(this.trackChunk([], [tempoEvent]))
+      for (const track of this.tracks) {
+        const events = track.events.map(event => ({ ...event, channel: track.channel }))
+        const meta = track.name === undefined ? [] : [this.textEvent(0x03, track.name)]
+        chunks.push(this.trackChunk(events, meta))
+      }
+    } else {
+      throw new RangeError('only MIDI file formats 0 and 1 are supported')
+    }
+
+    const header = [
+      ...this.fourCC('MThd'),
+      ...this.uint32(6),
+      ...this.uint16(format),
+      ...this.uint16(chunks.length),
+      ...this.uint16(this.division)
+    ]
+
+    const output = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, header.length))
+    output.set(header, 0)
+    let offset = header.length
+    for (const chunk of chunks) {
+      output.set(chunk, offset)
+      offset += chunk.length
+    }
+    return output
+  }
+
+  /**
+   * Serialize a single MTrk chunk.
+   *
+   * @param {Array} events Note events, with channel.
+   * @param {Array} meta Byte arrays of the meta events to place at the beginning of the track.
+   * @return {Number[]} Chunk bytes.
+   * @memberof MIDIFileWriter
+   */
+  trackChunk (events, meta) {
+    const data = []
+    for (const event of meta) {
+      data.push(0, ...event)
+    }
+
+    // noteoff goes first when simultaneous, otherwise repeated notes would be cut short
+    const sorted = events
+      .map(event => ({ ...event, ticks: this.secondsToTicks(event.time) }))
+      .sort((a, b) => (a.ticks - b.ticks) ||
+        ((a.type === 'noteon') - (b.type === 'noteon')) ||
+        (a.note - b.note))
+
+    let lastTicks = 0
+    let lastStatus = 0
+    for (const event of sorted) {
+      data.push(...this.variableLengthQuantity(event.ticks - lastTicks))
+      lastTicks = event.ticks
+
+      const status = ((event.type === 'noteon' ? 0x9 : 0x8) << 4) | (event.channel & 0x0f)
+      if (status !== lastStatus) { // running status
+        data.push(status)
+        lastStatus = status
+      }
+      data.push(event.note & 0x7f, Math.round(event.velocity) & 0x7f)
+    }
+
+    // end of track
+    data.push(0, 0xff, 0x2f, 0)
+
+    return [...this.fourCC('MTrk'), ...this.uint32(data.length), ...data]
+  }
+
+  /**
+   * Serialize a text meta event (track name, copyright notice, etc).
+   *
+   * @param {Number} type Meta event type.
+   * @param {String} text Contents; non-ASCII characters are replaced.
+   * @return {Number[]} Event bytes (without the delta-time).
+   * @memberof MIDIFileWriter
+   */
+  textEvent (type, text) {
+    const bytes = Array.from(text, c => c.charCodeAt(0) < 0x80 ? c.charCodeAt(0) : 0x3f)
+    return [0xff, type, ...this.variableLengthQuantity(bytes.length), ...bytes]
+  }
+
+  /**
+   * Variable-length quantity encoding of a non-negative integer.
+   *
+   * @param {Number} value Up to 0x0fffffff.
+   * @return {Number[]} 1 to 4 bytes.
+   * @memberof MIDIFileWriter
+   */
+  variableLengthQuantity (value) {
+    const bytes = [value & 0x7f]
+    while ((value >>= 7) > 0) {
+      bytes.unshift((value & 0x7f) | 0x80)
+    }
+    return bytes
+  }
+
+  /**
+   * @param {String} id Chunk type.
+   * @return {Number[]} 4 bytes.
+   * @memberof MIDIFileWriter
+   */
+  fourCC (id) {
+    return Array.from(id, c => c.charCodeAt(0))
+  }
+
+  /**
+   * @param {Number} value
+   * @return {Number[]} Big-endian 32-bit unsigned integer.
+   * @memberof MIDIFileWriter
+   */
+  uint32 (value) {
+    return [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]
+  }
+
+  /**
+   * @param {Number} value
+   * @return {Number[]} Big-endian 16-bit unsigned integer.
+   * @memberof MIDIFileWriter
+   */
+  uint16 (value) {
+    return [(value >> 8) & 0xff, value & 0xff]
+  }
+}
+
+/**
+ * Parses Standard MIDI Files (type 0 or 1) into a single, time-ordered stream of channel messages.
+ * The delta-times are converted to seconds according to the tempo map (which may span all the tracks);
+ * running status, SysEx & meta events are handled as per the specification.
+ *
+ * @class MIDIFileReader
+ * @example
+ * const reader = new MIDIFileReader(await (await fetch('audio/chromatic.mid')).arrayBuffer())
+ * for (const event of reader.events) {
+ *   // prints something like "1.5 144,21,100"
+ *   console.log(event.time, event.data.join(','))
+ * }
+ */
+export class MIDIFileReader {
+  /**
+   * Creates an instance of MIDIFileReader.
+   * @param {ArrayBuffer|Uint8Array} data Contents of the .mid file.
+   * @throws {SyntaxError} On the malformed input.
+   * @throws {RangeError} On the type 2 files.
+   * @memberof MIDIFileReader
+   */
+  constructor (data) {
+    this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+    this.position = 0
+
+    const isSMF = this.readFourCC() === 'MThd'
+    const headerEnd = this.readUint32() + this.position
+    if (!isSMF || headerEnd < 14) {
+      throw new SyntaxError('not a Standard MIDI File')
+    }
+    this.format = this.readUint16()
+    const tracksNum = this.readUint16()
+    this.division = this.readUint16()
+    if (this.format > 1) {
+      throw new RangeError('only MIDI file formats 0 and 1 are supported')
+    }
+    // skip the rest of the header, if any
+    this.position = headerEnd
+
+    this.lastTicks = 0
+    const events = []
+    const tempoChanges = [{ ticks: 0, tempo: 500000 }] // 120 BPM until told otherwise
+    for (let track = 0; track < tracksNum; track++) {
+      this.readTrack(track, events, tempoChanges)
+    }
+
+    // the note-offs go first when simultaneous, otherwise repeated notes would be cut short (the sort is stable)
+    const isNoteOn = event => (event.data[0] & 0xf0) === 0x90 && event.data[2] > 0
+    events.sort((a, b) => (a.ticks - b.ticks) || (isNoteOn(a) - isNoteOn(b)))
+    tempoChanges.sort((a, b) => a.ticks - b.ticks)
+    for (const event of events) {
+      event.time = this.ticksToSeconds(event.ticks, tempoChanges)
+    }
+
+    /**
+     * Channel messages, as objects with time (in seconds), ticks, track (index) & data (status byte followed by the data bytes).
+     */
+    this.events = events
+    this.tempoChanges = tempoChanges
+    this.duration = this.ticksToSeconds(this.lastTicks, tempoChanges)
+  }
+
+  /**
+   * Parse the next MTrk chunk (the unknown chunks are skipped).
+   *
+   * @param {Number} track Track index.
+   * @param {Array} events Where to append the channel messages.
+   * @param {Array} tempoChanges Where to append the tempo changes.
+   * @memberof MIDIFileReader
+   */
+  readTrack (track, events, tempoChanges) {
+    let id, length
+    do {
+      if (this.position + 8 > this.bytes.length) {
+        throw new SyntaxError(`track ${track} is missing`)
+      }
+      id = this.readFourCC()
+      length = this.readUint32()
+      if (id !== 'MTrk') {
+        this.position += length
+      }
+    } while (id !== 'MTrk')
+
+    const end = Math.min(this.position + length, this.bytes.length)
+    let ticks = 0
+    let runningStatus = 0
+    while (this.position < end) {
+      ticks += this.readVariableLengthQuantity()
+
+      let status = this.bytes[this.position]
+      if (status & 0x80) {
+        this.position++
+      } else if (runningStatus) {
+        status = runningStatus
+      } else {
+        throw new SyntaxError(`data byte without the status byte in track ${track}`)
+      }
+
+      if (status === 0xff) {
+        const type = this.bytes[this.position++]
+        const dataLength = this.readVariableLengthQuantity()
+        if (type === 0x51 && dataLength === 3) {
+          const [a, b, c] = this.bytes.subarray(this.position, this.position + 3)
+          tempoChanges.push({ ticks, tempo: (a << 16) | (b << 8) | c })
+        }
+        this.position += dataLength
+        runningStatus = 0
+        if (type === 0x2f) {
+          break
+        }
+      } else if (status === 0xf0 || status === 0xf7) {
+        const dataLength = this.readVariableLengthQuantity()
+        this.position += dataLength
+        runningStatus = 0
+      } else {
+        // program change & channel pressure have a single data byte
+        const dataLength = (status & 0xe0) === 0xc0 ? 1 : 2
+        const data = [status, ...this.bytes.subarray(this.position, this.position + dataLength)]
+        this.position += dataLength
+        runningStatus = status
+        events.push({ ticks, track, data })
+      }
+    }
+
+    this.lastTicks = Math.max(this.lastTicks, ticks)
+    this.position = end
+  }
+
+  /**
+   * Convert the MIDI ticks to seconds.
+   *
+   * @param {Number} ticks Time in ticks.
+   * @param {Array} tempoChanges Objects with ticks & tempo (microseconds per quarter note), ordered by time.
+   * @return {Number} Time in seconds.
+   * @memberof MIDIFileReader
+   */
+  ticksToSeconds (ticks, tempoChanges) {
+    if (this.division & 0x8000) {
+      // SMPTE: frames per second (as a negative number) & ticks per frame
+      const framesPerSecond = -((this.division >> 8) - 0x100)
+      return ticks / (framesPerSecond * (this.division & 0xff))
+    }
+
+    let seconds = 0
+    for (let i = 0; i < tempoChanges.length && tempoChanges[i].ticks < ticks; i++) {
+      const until = i + 1 < tempoChanges.length ? Math.min(tempoChanges[i + 1].ticks, ticks) : ticks
+      seconds += (until - tempoChanges[i].ticks) * tempoChanges[i].tempo / 1000000 / this.division
+    }
+    return seconds
+  }
+
+  /**
+   * @return {Number} Variable-length quantity, up to 4 bytes.
+   * @memberof MIDIFileReader
+   */
+  readVariableLengthQuantity () {
+    let value = 0
+    for (let i = 0; i < 4; i++) {
+      const byte = this.bytes[this.position++]
+      value = (value << 7) | (byte & 0x7f)
+      if (!(byte & 0x80)) {
+        return value
+      }
+    }
+    throw new SyntaxError('variable-length quantity is too long')
+  }
+
+  /**
+   * @return {String} Chunk type.
+   * @memberof MIDIFileReader
+   */
+  readFourCC () {
+    const id = String.fromCharCode(...this.bytes.subarray(this.position, this.position + 4))
+    this.position += 4
+    return id
+  }
+
+  /**
+   * @return {Number} Big-endian 32-bit unsigned integer.
+   * @memberof MIDIFileReader
+   */
+  readUint32 () {
+    const [a, b, c, d] = this.bytes.subarray(this.position, this.position + 4)
+    this.position += 4
+    return ((a << 24) | (b << 16) | (c << 8) | d) >>> 0
+  }
+
+  /**
+   * @return {Number} Big-endian 16-bit unsigned integer.
+   * @memberof MIDIFileReader
+   */
+  readUint16 () {
+    const [a, b] = this.bytes.subarray(this.position, this.position + 2)
+    this.position += 2
+    return (a << 8) | b
+  }
+}
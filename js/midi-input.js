@@ -0,0 +1,136 @@
+/**
+ * @file midi-input.js
+ * @description Parsing of the Web MIDI input messages into the per-key levels of the keyboard.
+ * @license MIT
+ */
+
+/**
+ * Keeps track of the keys held on a MIDI keyboard, including the ones sustained by the pedal.
+ * Handles the note-on messages with velocity 0 (which many keyboards send instead of note-off),
+ * the sustain pedal (CC64) and the "all notes off" family of the channel mode messages.
+ *
+ * @class MIDIInputHandler
+ * @example
+ * // 61 keys starting at C2, listening to all the channels
+ * const handler = new MIDIInputHandler(61, 36)
+ * input.onmidimessage = message => handler.process(message.data)
+ * // once per animation frame; from 0.0 to 1.0, proportionally to the velocity
+ * pianoKeyboard.update(audioColors, palette.getKeyColors(handler.levels))
+ */
+export class MIDIInputHandler {
+  /**
+   * Creates an instance of MIDIInputHandler.
+   * @param {Number} keysNum Number of keys.
+   * @param {Number} firstNote MIDI note number of the first key.
+   * @param {Object} [options={}]
+   * @param {Number} [options.channel=-1] MIDI channel to listen to, from 0 to 15; -1 for all of them (omni).
+   * @param {Number} [options.offset=0] Transposition, in semitones (for instance, 12 for a keyboard that sends everything an octave lower).
+   * @memberof MIDIInputHandler
+   */
+  constructor (keysNum, firstNote, { channel = -1, offset = 0 } = {}) {
+    this.firstNote = firstNote
+    this.channel = channel
+    this.offset = offset
+    this.levels = new Float32Array(keysNum)
+    this.pressed = new Uint8Array(keysNum)
+    this.sustain = false
+  }
+
+  /**
+   * Release everything (for instance, when the device is unplugged).
+   *
+   * @memberof MIDIInputHandler
+   */
+  reset () {
+    this.levels.fill(0)
+    this.pressed.fill(0)
+    this.sustain = false
+  }
+
+  /**
+   * Handle one MIDI message.
+   *
+   * @param {Uint8Array} data Raw message, as in MIDIMessageEvent.data.
+   * @memberof MIDIInputHandler
+   */
+  process (data) {
+    const [status, data1, data2] = data
+    const command = status & 0xf0
+    if (command === 0xf0 || (this.channel !== -1 && (status & 0x0f) !== this.channel)) {
+      return
+    }
+
+    switch (command) {
+      case 0x90:
+        if (data2 > 0) {
+          this.noteOn(data1, data2)
+        } else {
+          this.noteOff(data1)
+        }
+        break
+      case 0x80:
+        this.noteOff(data1)
+        break
+      case 0xb0:
+        this.controlChange(data1, data2)
+        break
+    }
+  }
+
+  /**
+   * Press the key.
+   *
+   * @param {Number} note MIDI note number.
+   * @param {Number} velocity From 1 to 127.
+   * @memberof MIDIInputHandler
+   */
+  noteOn (note, velocity) {
+    const key = note + this.offset - this.firstNote
+    if (key >= 0 && key < this.levels.length) {
+      this.pressed[key] = 1
+      this.levels[key] = velocity / 0x7f
+    }
+  }
+
+  /**
+   * Release the key; it keeps sounding while the sustain pedal is down.
+   *
+   * @param {Number} note MIDI note number.
+   * @memberof MIDIInputHandler
+   */
+  noteOff (note) {
+    const key = note + this.offset - this.firstNote
+    if (key >= 0 && key < this.levels.length) {
+      this.pressed[key] = 0
+      if (!this.sustain) {
+        this.levels[key] = 0
+      }
+    }
+  }
+
+  /**
+   * Handle the sustain pedal & the channel mode messages.
+   *
+   * @param {Number} controller Controller number.
+   * @param {Number} value From 0 to 127.
+   * @memberof MIDIInputHandler
+   */
+  controlChange (controller, value) {
+    switch (controller) {
+      case 64: // sustain pedal
+        this.sustain = value >= 64
+        if (!this.sustain) {
+          for (let key = 0; key < this.levels.length; key++) {
+            if (!this.pressed[key]) {
+              this.levels[key] = 0
+            }
+          }
+        }
+        break
+      case 120: // all sound off
+      case 123: // all notes off
+        this.reset()
+        break
+    }
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * @file midi-output.js
+ * @description Live audio-to-MIDI conversion: sends the notes detected in the levels to a Web MIDI output port.
+ * @license MIT
+ */
+
+import { NoteTracker } from './pianolizer.js'
+
+/**
+ * Turns the stream of levels into the note-on/note-off messages, as they happen.
+ * The notes are detected by NoteTracker; the velocity is proportional to the average amplitude of the onset.
+ *
+ * @class MIDINoteSender
+ * @example
+ * const midiAccess = await navigator.requestMIDIAccess()
+ * const output = midiAccess.outputs.values().next().value
+ * // 61 keys starting at C2, on MIDI channel 1
+ * const sender = new MIDINoteSender(output, 61, 36, { channel: 0, threshold: 0.1 })
+ * // for every frame of levels
+ * sender.process(levels, currentFrame / sampleRate)
+ * // when done, so that no notes hang
+ * sender.release()
+ */
+export class MIDINoteSender {
+  /**
+   * Creates an instance of MIDINoteSender.
+   * @param {MIDIOutput} output Where to send the messages (anything with the send() method).
+   * @param {Number} keysNum Number of levels per frame.
+   * @param {Number} firstNote MIDI note number of the first key.
+   * @param {Object} [options={}]
+   * @param {Number} [options.channel=0] MIDI channel, from 0 to 15.
+   * @param {Number} [options.offset=0] Transposition, in semitones.
+   * @param {Number} [options.threshold=0.1] Level that triggers a note.
+   * @param {Number} [options.hysteresis=0.5] How far below the threshold the level has to fall for the note to be released, from 0.0 to 1.0 (relative to the threshold).
+   * @param {Number} [options.minLength=0.03] The notes shorter than this (in seconds) are ignored; also the latency of the note-on messages.
+   * @memberof MIDINoteSender
+   */
+  constructor (output, keysNum, firstNote, { channel = 0, offset = 0, threshold = 0.1, hysteresis = 0.5, minLength = 0.03 } = {}) {
+    if (channel < 0 || channel > 15) {
+      throw new RangeError('channel must be between 0 and 15')
+    } else if (hysteresis < 0 || hysteresis > 1) {
+      throw new RangeError('hysteresis must be between 0.0 and 1.0')
+    }
+
+    this.output = output
+    this.firstNote = firstNote
+    this.channel = channel
+    this.offset = offset
+    this.noteTracker = new NoteTracker(keysNum, {
+      attack: threshold,
+      release: threshold * (1 - hysteresis),
+      minLength
+    })
+    // MIDI note number sent for each key (-1 when silent), so that the note-off matches the note-on
+    this.sounding = new Int16Array(keysNum).fill(-1)
+  }
+
+  /**
+   * Feed one frame of levels; sends the messages for the notes that started or ended.
+   *
+   * @param {Float32Array} levels Per-key levels, between 0.0 and 1.0.
+   * @param {Number} time Timestamp of the frame, in seconds.
+   * @memberof MIDINoteSender
+   */
+  process (levels, time) {
+    for (const event of this.noteTracker.process(levels, time)) {
+      if (event.type === 'noteon') {
+        const note = this.firstNote + event.key + this.offset
+        if (note < 0 || note > 127) {
+          continue
+        }
+        this.sounding[event.key] = note
+        this.output.send([0x90 | this.channel, note, Math.max(1, Math.round(127 * event.velocity))])
+      } else {
+        this.noteOff(event.key)
+      }
+    }
+  }
+
+  /**
+   * Send the note-off messages for all the sounding notes (for instance, before switching the port).
+   *
+   * @memberof MIDINoteSender
+   */
+  release () {
+    for (let key = 0; key < this.sounding.length; key++) {
+      this.noteOff(key)
+    }
+    this.noteTracker.reset()
+  }
+
+  /**
+   * Send the note-off message for the key, if it is sounding.
+   *
+   * @param {Number} key Key index.
+   * @memberof MIDINoteSender
+   */
+  noteOff (key) {
+    if (this.sounding[key] !== -1) {
+      this.output.send([0x80 | this.channel, this.sounding[key], 64])
+      this.sounding[key] = -1
+    }
+  }
+}
@@ -0,0 +1,323 @@
+/**
+ * @file midi-player.js
+ * @description Playback of the Standard MIDI Files: the transport & a simple Web Audio synthesizer.
+ * @license MIT
+ */
+
+/**
+ * Dispatches the channel messages parsed by MIDIFileReader in real time.
+ * Call update() once per animation frame; the messages that are due get passed to onmessage.
+ * When the playback pauses or seeks, the sounding notes are released; once it resumes, the notes that should be sounding are struck again.
+ *
+ * @class MIDIFilePlayer
+ * @example
+ * const player = new MIDIFilePlayer(new MIDIFileReader(data))
+ * player.onmessage = message => midiInputHandler.process(message)
+ * player.play()
+ * // once per animation frame
+ * player.update()
+ */
+export class MIDIFilePlayer {
+  /**
+   * Creates an instance of MIDIFilePlayer.
+   * @param {MIDIFileReader} reader Parsed file.
+   * @param {Function} [clock] Returns the current time, in seconds.
+   * @memberof MIDIFilePlayer
+   */
+  constructor (reader, clock = () => performance.now() / 1000) {
+    this.reader = reader
+    this.clock = clock
+    this.position = 0
+    this.startedAt = null
+    this.next = 0 // index of the next event to dispatch
+    this.onmessage = null
+    this.onended = null
+  }
+
+  /**
+   * Length of the file, in seconds.
+   *
+   * @readonly
+   * @memberof MIDIFilePlayer
+   */
+  get duration () {
+    return this.reader.duration
+  }
+
+  /**
+   * Whether the playback is paused.
+   *
+   * @readonly
+   * @memberof MIDIFilePlayer
+   */
+  get paused () {
+    return this.startedAt === null
+  }
+
+  /**
+   * Playback position, in seconds.
+   *
+   * @readonly
+   * @memberof MIDIFilePlayer
+   */
+  get currentTime () {
+    return this.paused
+      ? this.position
+      : Math.min(this.position + this.clock() - this.startedAt, this.duration)
+  }
+
+  /**
+   * Start or resume the playback (from the beginning, once it has ended).
+   *
+   * @memberof MIDIFilePlayer
+   */
+  play () {
+    if (!this.paused) {
+      return
+    }
+    if (this.position >= this.duration) {
+      this.seek(0)
+    }
+    this.startedAt = this.clock()
+    this.chase()
+  }
+
+  /**
+   * Pause the playback.
+   *
+   * @memberof MIDIFilePlayer
+   */
+  pause () {
+    this.position = this.currentTime
+    this.startedAt = null
+    this.silence()
+  }
+
+  /**
+   * Jump to the position.
+   *
+   * @param {Number} time Seconds.
+   * @memberof MIDIFilePlayer
+   */
+  seek (time) {
+    this.silence()
+    this.position = Math.max(0, Math.min(time, this.duration))
+    const events = this.reader.events
+    // binary search of the first event that is not earlier
+    let low = 0
+    let high = events.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (events[middle].time < this.position) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    this.next = low
+    if (!this.paused) {
+      this.startedAt = this.clock()
+      this.chase()
+    }
+  }
+
+  /**
+   * Dispatch the messages that are due.
+   *
+   * @memberof MIDIFilePlayer
+   */
+  update () {
+    if (this.paused) {
+      return
+    }
+    const events = this.reader.events
+    const time = this.currentTime
+    while (this.next < events.length && events[this.next].time <= time) {
+      this.dispatch(events[this.next++].data)
+    }
+    if (time >= this.duration) {
+      this.pause()
+      if (this.onended !== null) {
+        this.onended()
+      }
+    }
+  }
+
+  /**
+   * Strike the notes that started before the current position and are still sounding.
+   *
+   * @memberof MIDIFilePlayer
+   */
+  chase () {
+    const sounding = new Map()
+    const events = this.reader.events
+    for (let i = 0; i < this.next; i++) {
+      const data = events[i].data
+      const command = data[0] & 0xf0
+      const key = ((data[0] & 0x0f) << 7) | data[1]
+      if (command === 0x90 && data[2] > 0) {
+        sounding.set(key, data)
+      } else if (command === 0x80 || command === 0x90) {
+        sounding.delete(key)
+      }
+    }
+    for (const data of sounding.values()) {
+      this.dispatch(data)
+    }
+  }
+
+  /**
+   * Release the sustain pedal & all the notes, on all the channels.
+   *
+   * @memberof MIDIFilePlayer
+   */
+  silence () {
+    for (let channel = 0; channel < 16; channel++) {
+      this.dispatch([0xb0 | channel, 64, 0])
+      this.dispatch([0xb0 | channel, 123, 0])
+    }
+  }
+
+  /**
+   * @param {Number[]} data Status byte followed by the data bytes.
+   * @memberof MIDIFilePlayer
+   */
+  dispatch (data) {
+    if (this.onmessage !== null) {
+      this.onmessage(data)
+    }
+  }
+}
+
+/**
+ * Minimal polyphonic synthesizer, so that the MIDI file can be heard: a triangle wave per note, with a piano-like decay.
+ * Follows the sustain pedal; the percussion channel (10) is ignored.
+ *
+ * @class MIDISynth
+ * @example
+ * const synth = new MIDISynth(audioContext)
+ * synth.process([0x90, 69, 100]) // A4
+ * synth.process([0x80, 69, 64])
+ */
+export class MIDISynth {
+  /**
+   * Creates an instance of MIDISynth.
+   * @param {AudioContext} audioContext Where the sound is made.
+   * @param {Object} [options={}]
+   * @param {AudioNode} [options.destination=audioContext.destination] Where the sound goes.
+   * @param {Number} [options.pitchFork=440.0] A4 frequency, in Hz.
+   * @param {Number} [options.volume=0.2] Master gain.
+   * @memberof MIDISynth
+   */
+  constructor (audioContext, { destination = audioContext.destination, pitchFork = 440.0, volume = 0.2 } = {}) {
+    this.audioContext = audioContext
+    this.pitchFork = pitchFork
+    this.output = audioContext.createGain()
+    this.output.gain.value = volume
+    this.output.connect(destination)
+    this.voices = new Map()
+    this.sustain = new Uint8Array(16)
+    this.held = new Set() // voices released while the pedal was down
+  }
+
+  /**
+   * Handle one MIDI message.
+   *
+   * @param {Number[]} data Status byte followed by the data bytes.
+   * @memberof MIDISynth
+   */
+  process (data) {
+    const [status, data1, data2] = data
+    const command = status & 0xf0
+    const channel = status & 0x0f
+    if (channel === 9) {
+      return
+    }
+
+    const key = (channel << 7) | data1
+    if (command === 0x90 && data2 > 0) {
+      this.noteOn(key, data1, data2)
+    } else if (command === 0x80 || command === 0x90) {
+      if (this.sustain[channel]) {
+        this.held.add(key)
+      } else {
+        this.noteOff(key)
+      }
+    } else if (command === 0xb0 && data1 === 64) {
+      this.sustain[channel] = data2 >= 64
+      if (!this.sustain[channel]) {
+        for (const heldKey of this.held) {
+          if (heldKey >> 7 === channel) {
+            this.held.delete(heldKey)
+            this.noteOff(heldKey)
+          }
+        }
+      }
+    } else if (command === 0xb0 && (data1 === 120 || data1 === 123)) {
+      for (const voiceKey of this.voices.keys()) {
+        if (voiceKey >> 7 === channel) {
+          this.held.delete(voiceKey)
+          this.noteOff(voiceKey)
+        }
+      }
+    }
+  }
+
+  /**
+   * Silence everything at once.
+   *
+   * @memberof MIDISynth
+   */
+  release () {
+    this.sustain.fill(0)
+    this.held.clear()
+    for (const key of this.voices.keys()) {
+      this.noteOff(key)
+    }
+  }
+
+  /**
+   * Start a voice.
+   *
+   * @param {Number} key Channel & note number.
+   * @param {Number} note MIDI note number.
+   * @param {Number} velocity From 1 to 127.
+   * @memberof MIDISynth
+   */
+  noteOn (key, note, velocity) {
+    this.held.delete(key)
+    this.noteOff(key)
+
+    const now = this.audioContext.currentTime
+    const oscillator = this.audioContext.createOscillator()
+    oscillator.type = 'triangle'
+    oscillator.frequency.value = this.pitchFork * Math.pow(2, (note - 69) / 12)
+    const envelope = this.audioContext.createGain()
+    const peak = velocity / 0x7f
+    envelope.gain.setValueAtTime(0, now)
+    envelope.gain.linearRampToValueAtTime(peak, now + 0.005)
+    envelope.gain.setTargetAtTime(0, now + 0.005, 1.0)
+    oscillator.connect(envelope)
+    envelope.connect(this.output)
+    oscillator.start(now)
+    this.voices.set(key, { oscillator, envelope })
+  }
+
+  /**
+   * Fade the voice out.
+   *
+   * @param {Number} key Channel & note number.
+   * @memberof MIDISynth
+   */
+  noteOff (key) {
+    const voice = this.voices.get(key)
+    if (voice === undefined) {
+      return
+    }
+    const now = this.audioContext.currentTime
+    voice.envelope.gain.cancelScheduledValues(now)
+    voice.envelope.gain.setTargetAtTime(0, now, 0.05)
+    voice.oscillator.stop(now + 0.5)
+    this.voices.delete(key)
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * @file offline-worker.js
+ * @description Web Worker that analyzes a whole decoded audio file with the pure JS Pianolizer, off the main thread.
+ * @license MIT
+ */
+
+import Pianolizer from './pianolizer.js'
+
+/**
+ * Expects the mono samples & the same settings as the PianolizerWorklet processorOptions, plus:
+ * rowSize (samples per spectrogram row), smooth (average window, in seconds) & threshold (noise gate, in the units of the output mode).
+ * Replies with { progress } (from 0.0 to 1.0) once in a while, then with { rows, levels } (keysNum levels per row);
+ * or with { error }.
+ */
+self.onmessage = event => {
+  const {
+    samples,
+    sampleRate,
+    rowSize,
+    keysNum = 61,
+    referenceKey = 33,
+    pitchFork = 440.0,
+    tolerance = 1.0,
+    harmonicSuppression = 0.0,
+    mapping = null,
+    outputMode = 'normalized',
+    decibelFloor = -96,
+    smooth = 0,
+    threshold = 0
+  } = event.data
+
+  try {
+    const pianolizer = new Pianolizer(
+      sampleRate,
+      keysNum,
+      referenceKey,
+      pitchFork,
+      tolerance,
+      harmonicSuppression,
+      mapping
+    )
+    pianolizer.outputMode = outputMode
+    pianolizer.decibelFloor = decibelFloor
+    const silence = outputMode === 'decibels' ? decibelFloor : 0
+
+    const rows = Math.ceil(samples.length / rowSize)
+    const levels = new Float32Array(rows * keysNum)
+    // the input gets zeroed by Pianolizer.process()
+    const input = new Float32Array(rowSize)
+    const progressInterval = Math.max(1, Math.round(rows / 100))
+    for (let row = 0; row < rows; row++) {
+      input.set(samples.subarray(row * rowSize, (row + 1) * rowSize))
+      const rowLevels = pianolizer.process(input, smooth)
+      for (let key = 0; key < keysNum; key++) {
+        levels[row * keysNum + key] = rowLevels[key] < threshold ? silence : rowLevels[key]
+      }
+
+      if (row % progressInterval === 0) {
+        self.postMessage({ progress: row / rows })
+      }
+    }
+
+    self.postMessage({ rows, levels }, [levels.buffer])
+  } catch (error) {
+    self.postMessage({ error: error.message })
+  }
+}
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * @file pianolizer-cli.js
+ * @description Pure JS counterpart of the native `pianolizer` CLI utility (cpp/main.cpp); the hex output is byte-identical,
+ * while the decimal output (`-d`) matches to the float rounding, as the analysis runs in double precision.
+ * @see {@link http://github.com/creaktive/pianolizer}
+ * @license MIT
+ */
+
+import { once } from 'events'
+import Pianolizer from './pianolizer.js'
+import { formatDecimal } from './levels-file.js'
+
+/**
+ * Print the usage instructions and quit.
+ */
+function help () {
+  console.log(`Usage:
+\tarecord -f FLOAT_LE -t raw | node js/pianolizer-cli.js -s 8000 | sudo misc/hex2ws281x.py
+
+Options:
+\t-h\tthis
+\t-b\tbuffer size; default: 256 (samples)
+\t-c\tnumber of channels; default: 1
+\t-s\tsample rate; default: 44100 (Hz)
+\t-p\tA4 reference frequency; default: 440 (Hz)
+\t-k\tnumber of keys on the piano keyboard; default: 61
+\t-r\treference key index (A4); default: 33
+\t-a\taverage window (effectively a low-pass filter for the output); default: 0.04 (seconds; 0 to disable)
+\t-t\tnoise gate threshold, from 0 to 1; default: 0
+\t-x\tfrequency tolerance, range (0.0, 1.0]; default: 1
+\t-y\treturn the square root of each value; default: false
+\t-d\tserialize as space-separated decimals; default: hex
+
+Description:
+Consumes an audio stream (1 channel, 32-bit float PCM)
+and emits the volume levels of 61 notes (from C2 to C7) as a hex string.`)
+  process.exit(0)
+}
+
+/**
+ * Minimal POSIX getopt(3) work-alike: supports both "-b 256" and "-b256", and grouped flags like "-yd".
+ *
+ * @param {string[]} argv Command-line arguments (without the interpreter & script path).
+ * @param {string} optstring Option characters; the ones followed by ':' require an argument.
+ * @return {Array} List of [option, argument] pairs; unknown options are reported as '?'.
+ */
+function getopt (argv, optstring) {
+  const options = []
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--') {
+      break
+    } else if (arg.charAt(0) !== '-' || arg.length < 2) {
+      continue
+    }
+
+    for (let j = 1; j < arg.length; j++) {
+      const option = arg.charAt(j)
+      const position = optstring.indexOf(option)
+      if (option === ':' || position === -1) {
+        console.error(`invalid option -- '${option}'`)
+        options.push(['?', null])
+      } else if (optstring.charAt(position + 1) === ':') {
+        const optarg = j + 1 < arg.length ? arg.substring(j + 1) : argv[++i]
+        if (optarg === undefined) {
+          console.error(`option requires an argument -- '${option}'`)
+          options.push(['?', null])
+        } else {
+          options.push([option, optarg])
+        }
+        break
+      } else {
+        options.push([option, null])
+      }
+    }
+  }
+  return options
+}
+
+/**
+ * Entry point: parse the options, then analyze stdin until it is exhausted.
+ *
+ * @return {Promise<number>} Exit code.
+ */
+async function main () {
+  let samples = 256 // known to work on RPi3b
+  let channels = 1
+  let sampleRate = 44100
+  let pitchFork = 440.0
+  let averageWindow = 0.04
+  let keys = 61
+  let refKey = 33
+  let threshold = 0.0
+  let tolerance = 1.0
+  let squareRoot = false
+  let decimal = false
+
+  for (const [option, optarg] of getopt(process.argv.slice(2), 'b:c:s:p:k:r:a:t:x:ydh')) {
+    switch (option) {
+      case 'b':
+        samples = parseInt(optarg) || 0
+        break
+      case 'c':
+        channels = parseInt(optarg) || 0
+        break
+      case 's':
+        sampleRate = parseInt(optarg) || 0
+        break
+      case 'p':
+        pitchFork = parseFloat(optarg) || 0
+        break
+      case 'k':
+        keys = parseInt(optarg) || 0
+        break
+      case 'r':
+        refKey = parseInt(optarg) || 0
+        break
+      case 'a':
+        averageWindow = parseFloat(optarg) || 0
+        break
+      case 't':
+        threshold = Math.fround(parseFloat(optarg) || 0)
+        break
+      case 'x':
+        tolerance = parseFloat(optarg) || 0
+        break
+      case 'y':
+        squareRoot = true
+        break
+      case 'd':
+        decimal = true
+        break
+      case 'h':
+      default:
+        help()
+    }
+  }
+
+  if (sampleRate < 8000 || sampleRate > 200000) {
+    console.error('sampleRate must be between 8000 and 200000 Hz')
+    return 1
+  }
+
+  if (tolerance < 0.01 || tolerance > 1.0) {
+    console.error('tolerance must be between 0.01 and 1.0')
+    return 1
+  }
+
+  const pianolizer = new Pianolizer(
+    sampleRate,
+    keys,
+    refKey,
+    Math.fround(pitchFork),
+    tolerance
+  )
+
+  const bufferSize = samples * channels
+  const buffer = new Float32Array(bufferSize)
+  const input = new Float32Array(samples)
+  const bytes = new Uint8Array(buffer.buffer)
+  let offset = 0
+
+  const flush = async () => {
+    const len = offset / Float32Array.BYTES_PER_ELEMENT | 0
+    input.fill(0)
+    for (let i = 0; i < len; i++) {
+      input[i / channels | 0] += buffer[i]
+    }
+    offset = 0
+
+    const output = pianolizer.process(input, Math.fround(averageWindow))
+
+    let line = ''
+    for (let i = 0; i < output.length; i++) {
+      const step1 = squareRoot ? Math.fround(Math.sqrt(output[i])) : output[i]
+      const step2 = step1 > threshold ? step1 : 0
+      const valueFloat = Math.min(Math.max(step2, 0), 1)
+      if (decimal) {
+        line += formatDecimal(valueFloat)
+        if (i < output.length - 1) {
+          line += ' '
+        }
+      } else {
+        line += Math.round(255 * valueFloat).toString(16).padStart(2, '0')
+      }
+    }
+
+    if (!process.stdout.write(line + '\n')) {
+      await once(process.stdout, 'drain')
+    }
+  }
+
+  for await (const chunk of process.stdin) {
+    for (let i = 0; i < chunk.length;) {
+      const n = Math.min(chunk.length - i, bytes.length - offset)
+      bytes.set(chunk.subarray(i, i + n), offset)
+      offset += n
+      i += n
+      if (offset === bytes.length) {
+        await flush()
+      }
+    }
+  }
+
+  // the trailing partial buffer (whole samples only) is processed as well
+  if (offset >= Float32Array.BYTES_PER_ELEMENT) {
+    await flush()
+  }
+
+  return 0
+}
+
+main()
+  .then(code => { process.exitCode = code })
+  .catch(error => {
+    console.error(error.message)
+    process.exitCode = 1
+  })
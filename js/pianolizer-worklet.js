@@ -5,7 +5,7 @@
  * @extends {AudioWorkletProcessor}
  */
 class PianolizerWorklet extends AudioWorkletProcessor {
-  /* global sampleRate, Pianolizer */
+  /* global sampleRate, currentFrame, Pianolizer, LevelsRing */
 
   /**
    * Creates an instance of PianolizerWorklet.
@@ -14,22 +14,80 @@ class PianolizerWorklet extends AudioWorkletProcessor {
   constructor (options) {
     super()
 
-    this.samples = null // allocated according to the input length
+    this.samples = [] // one buffer per channel (only the first one is used for the mix-down), allocated according to the input length
+    this.pianolizers = [] // one instance per channel, created on demand
+    this.channelLevels = []
 
     const {
       keysNum = 61,
       referenceKey = 33,
       pitchFork = 440.0,
-      tolerance = 1.0
+      tolerance = 1.0,
+      harmonicSuppression = 0.0,
+      mapping = null,
+      outputMode = 'normalized',
+      decibelFloor = -96,
+      perChannel = false,
+      pitchTracking = false,
+      tuner = false,
+      levelsBuffer = null
     } = options.processorOptions
 
-    this.pianolizer = new Pianolizer(
-      sampleRate,
-      keysNum,
-      referenceKey,
-      pitchFork,
-      tolerance
-    )
+    this.settings = { keysNum, referenceKey, pitchFork, tolerance, mapping }
+    this.harmonicSuppression = harmonicSuppression
+    this.outputMode = outputMode
+    this.decibelFloor = decibelFloor
+    this.perChannel = perChannel
+    this.pitchTracking = pitchTracking
+    this.tuner = tuner
+    this.tunerCountdown = 0 // blocks until the next tuner message
+    this.spectrum = null // levels of the first channel before the noise gate, for the tuner
+    // without the cross-origin isolation, there's no shared memory, and the levels are posted as messages
+    this.levelsRing = levelsBuffer === null ? null : new LevelsRing(levelsBuffer)
+
+    this.port.onmessage = event => {
+      for (const name of ['harmonicSuppression', 'outputMode', 'decibelFloor', 'pitchTracking']) {
+        if (event.data[name] !== undefined) {
+          this[name] = event.data[name]
+          for (const pianolizer of this.pianolizers) {
+            pianolizer[name] = event.data[name]
+          }
+        }
+      }
+      if (event.data.perChannel !== undefined) {
+        this.perChannel = event.data.perChannel
+      }
+      if (event.data.tuner !== undefined) {
+        this.tuner = event.data.tuner
+      }
+    }
+  }
+
+  /**
+   * Get the Pianolizer instance for the channel; the missing ones are created with the current settings.
+   *
+   * @param {Number} channelIndex Channel #, 0 for the mix-down.
+   * @return {Pianolizer} Instance that keeps the state of the channel between the calls.
+   * @memberof PianolizerWorklet
+   */
+  getPianolizer (channelIndex) {
+    while (this.pianolizers.length <= channelIndex) {
+      const { keysNum, referenceKey, pitchFork, tolerance, mapping } = this.settings
+      const pianolizer = new Pianolizer(
+        sampleRate,
+        keysNum,
+        referenceKey,
+        pitchFork,
+        tolerance,
+        this.harmonicSuppression,
+        mapping
+      )
+      pianolizer.outputMode = this.outputMode
+      pianolizer.decibelFloor = this.decibelFloor
+      pianolizer.pitchTracking = this.pitchTracking
+      this.pianolizers.push(pianolizer)
+    }
+    return this.pianolizers[channelIndex]
   }
 
   /**
@@ -48,9 +106,10 @@ class PianolizerWorklet extends AudioWorkletProcessor {
       maxValue: 0.25,
       automationRate: 'k-rate'
     }, {
+      // in the units of the output mode; dBFS are negative
       name: 'threshold',
       defaultValue: 0.12,
-      minValue: 0,
+      minValue: -1000,
       maxValue: 1.0,
       automationRate: 'k-rate'
     }]
@@ -76,33 +135,75 @@ class PianolizerWorklet extends AudioWorkletProcessor {
     // subject to change, even *during* the lifetime of an AudioWorkletProcessor instance!
     // WARNING: since this.samples is being reused, values must be set to zero after each iteration!!!
     const windowSize = input[0][0].length
-    if (this.samples === null || this.samples.length !== windowSize) {
-      this.samples = new Float32Array(windowSize)
+    const channelsNum = this.perChannel
+      ? Math.max(...input.map(channels => channels.length))
+      : 1
+    for (let channelIndex = 0; channelIndex < channelsNum; channelIndex++) {
+      if (this.samples[channelIndex] === undefined || this.samples[channelIndex].length !== windowSize) {
+        this.samples[channelIndex] = new Float32Array(windowSize)
+      }
     }
 
-    // mix down the inputs into single array
+    // mix down the inputs into single array per channel (or into single array, altogether);
+    // the mix-down is averaged, otherwise the stereo sources would be twice as loud
     const inputPortCount = input.length
+    let mixedChannelsNum = 0
     for (let portIndex = 0; portIndex < inputPortCount; portIndex++) {
       const channelCount = input[portIndex].length
+      mixedChannelsNum += channelCount
       for (let channelIndex = 0; channelIndex < channelCount; channelIndex++) {
+        const samples = this.samples[this.perChannel ? channelIndex : 0]
         for (let sampleIndex = 0; sampleIndex < windowSize; sampleIndex++) {
           const sample = input[portIndex][channelIndex][sampleIndex]
           // output[portIndex][channelIndex][sampleIndex] = sample
-          this.samples[sampleIndex] += sample
+          samples[sampleIndex] += sample
         }
       }
     }
+    if (!this.perChannel && mixedChannelsNum > 1) {
+      const gain = 1 / mixedChannelsNum
+      for (let sampleIndex = 0; sampleIndex < windowSize; sampleIndex++) {
+        this.samples[0][sampleIndex] *= gain
+      }
+    }
 
     // DO IT!!!
-    const levels = this.pianolizer.process(this.samples, parameters.smooth[0])
+    const channelLevels = this.channelLevels
+    channelLevels.length = channelsNum
+    const silence = this.outputMode === 'decibels'
+      ? this.decibelFloor
+      : 0
+    // about 40 times per second; the tuner needs no more
+    const tunerDue = this.tuner && --this.tunerCountdown <= 0
+    for (let channelIndex = 0; channelIndex < channelsNum; channelIndex++) {
+      const levels = this.getPianolizer(channelIndex).process(this.samples[channelIndex], parameters.smooth[0])
 
-    const bands = levels.length
-    for (let i = 0; i < bands; i++) {
-      if (levels[i] < parameters.threshold[0]) {
-        levels[i] = 0
+      const bands = levels.length
+      // the tuner interpolates between the neighboring keys, which the noise gate would silence
+      if (tunerDue && channelIndex === 0) {
+        this.spectrum = Float32Array.from(levels)
       }
+      for (let i = 0; i < bands; i++) {
+        if (levels[i] < parameters.threshold[0]) {
+          levels[i] = silence
+        }
+      }
+      channelLevels[channelIndex] = levels
+    }
+
+    // the levels of every channel (or just the levels of the mix-down), along with the first sample of the block
+    if (this.levelsRing === null) {
+      this.port.postMessage({ currentFrame, levels: channelLevels })
+    } else {
+      this.levelsRing.write(channelLevels, currentFrame)
+    }
+
+    // the first channel (or the mix-down), with the deviations of the keys when the analyzer tracks them
+    if (tunerDue) {
+      this.tunerCountdown = 8
+      const cents = this.pitchTracking ? this.pianolizers[0].cents : undefined
+      this.port.postMessage({ currentFrame, spectrum: this.spectrum, cents: cents ?? null })
     }
-    this.port.postMessage(levels)
 
     return true
   }
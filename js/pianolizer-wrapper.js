@@ -12,23 +12,110 @@ class Pianolizer {
    * @param {number} [referenceKey=33] Index of the reference key (A4).
    * @param {number} [pitchFork=440] Frequency of A4 in Hz.
    * @param {number} [tolerance=1] Frequency tolerance factor.
+   * @param {number} [harmonicSuppression=0] Overtone suppression strength; 0 disables it.
+   * @param {Array} [mapping=null] Precomputed tuning (k & N per key); overrides the tuning parameters above.
    */
   constructor (
     sampleRate,
     keysNum = 61,
     referenceKey = 33,
     pitchFork = 440.0,
-    tolerance = 1.0
+    tolerance = 1.0,
+    harmonicSuppression = 0.0,
+    mapping = null
   ) {
     this.pianolizer = new Module.Pianolizer(
       sampleRate,
       keysNum,
       referenceKey,
       pitchFork,
-      tolerance
+      tolerance,
+      harmonicSuppression,
+      mapping
     )
   }
 
+  /**
+   * Current overtone suppression strength.
+   *
+   * @return {number} 0 when disabled.
+   */
+  get harmonicSuppression () {
+    return this.pianolizer.harmonicSuppression
+  }
+
+  /**
+   * Update the overtone suppression strength on-fly.
+   *
+   * @param {number} value 0 disables the suppression.
+   */
+  set harmonicSuppression (value) {
+    this.pianolizer.harmonicSuppression = value
+  }
+
+  /**
+   * Current output scale ('normalized', 'sqrt', 'amplitude' or 'decibels').
+   *
+   * @return {string} 'normalized' by default.
+   */
+  get outputMode () {
+    return this.pianolizer.outputMode
+  }
+
+  /**
+   * Update the output scale on-fly.
+   *
+   * @param {string} value 'normalized', 'sqrt', 'amplitude' or 'decibels'.
+   */
+  set outputMode (value) {
+    this.pianolizer.outputMode = value
+  }
+
+  /**
+   * Lowest level of the 'decibels' output scale.
+   *
+   * @return {number} In dBFS.
+   */
+  get decibelFloor () {
+    return this.pianolizer.decibelFloor
+  }
+
+  /**
+   * Update the lowest level of the 'decibels' output scale on-fly.
+   *
+   * @param {number} value In dBFS.
+   */
+  set decibelFloor (value) {
+    this.pianolizer.decibelFloor = value
+  }
+
+  /**
+   * Whether the per-key pitch deviation is being estimated.
+   *
+   * @return {boolean} false by default.
+   */
+  get pitchTracking () {
+    return this.pianolizer.pitchTracking
+  }
+
+  /**
+   * Enable or disable the per-key pitch deviation estimation on-fly.
+   *
+   * @param {boolean} value true enables the cents output.
+   */
+  set pitchTracking (value) {
+    this.pianolizer.pitchTracking = value
+  }
+
+  /**
+   * Deviation of every key from its nominal frequency, parallel to the levels.
+   *
+   * @return {Float32Array} Cents (positive is sharp; negative is flat), copied from WASM memory.
+   */
+  get cents () {
+    return new Float32Array(this.pianolizer.cents())
+  }
+
   /**
    * Make sure the shared WASM memory buffer matches the requested sample count.
    *
@@ -28,6 +28,8 @@ export default class Pianolizer {
    * @param {Number} [referenceKey=33] Key index for the pitchFork reference (A4 is the default).
    * @param {Number} [pitchFork=440.0] A4 is 440 Hz by default.
    * @param {Number} [tolerance=1.0] frequency tolerance, range (0.0, 1.0].
+   * @param {Number} [harmonicSuppression=0.0] HarmonicSuppressor strength; 0 disables it.
+   * @param {Array} [mapping=null] Precomputed Tuning mapping (for instance, from a TemperamentTuning); overrides keysNum, referenceKey, pitchFork & tolerance.
    * @memberof Pianolizer
    */
   constructor (
@@ -35,18 +37,105 @@ export default class Pianolizer {
     keysNum = 61,
     referenceKey = 33,
     pitchFork = 440.0,
-    tolerance = 1.0
+    tolerance = 1.0,
+    harmonicSuppression = 0.0,
+    mapping = null
   ) {
-    this.slidingDFT = new SlidingDFT(
-      new PianoTuning(
+    const tuning = mapping === null
+      ? new PianoTuning(
         sampleRate,
         keysNum,
         referenceKey,
         pitchFork,
         tolerance
-      ),
-      -1
-    )
+      )
+      : new MappedTuning(sampleRate, mapping)
+    this.slidingDFT = new SlidingDFT(tuning, -1)
+    this.harmonicSuppressor = new HarmonicSuppressor(tuning.bands, harmonicSuppression)
+  }
+
+  /**
+   * Get the current HarmonicSuppressor strength.
+   *
+   * @memberof Pianolizer
+   */
+  get harmonicSuppression () {
+    return this.harmonicSuppressor.strength
+  }
+
+  /**
+   * Set the HarmonicSuppressor strength (can be updated on-fly).
+   *
+   * @memberof Pianolizer
+   */
+  set harmonicSuppression (value) {
+    this.harmonicSuppressor.strength = value
+  }
+
+  /**
+   * Get the current output scale (see SlidingDFT.OUTPUT_MODES).
+   *
+   * @memberof Pianolizer
+   */
+  get outputMode () {
+    return this.slidingDFT.outputMode
+  }
+
+  /**
+   * Set the output scale (can be updated on-fly).
+   * HarmonicSuppressor expects the squared levels, so it is bypassed by all modes but 'normalized'.
+   *
+   * @memberof Pianolizer
+   */
+  set outputMode (value) {
+    this.slidingDFT.outputMode = value
+  }
+
+  /**
+   * Get the lowest level of the 'decibels' output mode.
+   *
+   * @memberof Pianolizer
+   */
+  get decibelFloor () {
+    return this.slidingDFT.decibelFloor
+  }
+
+  /**
+   * Set the lowest level of the 'decibels' output mode (can be updated on-fly).
+   *
+   * @memberof Pianolizer
+   */
+  set decibelFloor (value) {
+    this.slidingDFT.decibelFloor = value
+  }
+
+  /**
+   * Whether the deviation of every key from its nominal frequency is being estimated.
+   *
+   * @memberof Pianolizer
+   */
+  get pitchTracking () {
+    return this.slidingDFT.pitchTracking
+  }
+
+  /**
+   * Enable or disable the pitch tracking (can be updated on-fly).
+   *
+   * @memberof Pianolizer
+   */
+  set pitchTracking (value) {
+    this.slidingDFT.pitchTracking = value
+  }
+
+  /**
+   * Deviation of every key from its nominal frequency (positive is sharp; negative is flat), parallel to the levels.
+   * Only updated when pitchTracking is enabled; meaningful only for the keys that actually sound.
+   *
+   * @readonly
+   * @memberof Pianolizer
+   */
+  get cents () {
+    return this.slidingDFT.cents
   }
 
   /**
@@ -55,10 +144,15 @@ export default class Pianolizer {
    * @param {Float32Array} samples Array with the batch of samples to process.
    * @param {Number} [averageWindowInSeconds=0] Adjust the moving average window size.
    * @return {Float32Array} Snapshot of the levels after processing all the samples.
+   * With pitchTracking enabled, the call also updates the cents property, parallel to the returned levels
+   * (it is not returned, so that the levels stay a plain array, same as in the WASM implementation).
    * @memberof Pianolizer
    */
   process (samples, averageWindowInSeconds = 0) {
-    return this.slidingDFT.process(samples, averageWindowInSeconds)
+    const levels = this.slidingDFT.process(samples, averageWindowInSeconds)
+    return this.slidingDFT.outputMode === 'normalized'
+      ? this.harmonicSuppressor.process(levels)
+      : levels
   }
 }
 
@@ -325,6 +419,53 @@ export class DFTBin {
   get logarithmicUnitDecibels () {
     return 20 * Math.log10(this.amplitudeSpectrum / this.referenceAmplitude)
   }
+
+  /**
+   * Phase of the DFT, in radians.
+   *
+   * @readonly
+   * @memberof DFTBin
+   */
+  get phase () {
+    return Math.atan2(this.dft.im, this.dft.re)
+  }
+
+  /**
+   * Estimate the instantaneous frequency from the phase advance since the previous measurement (the phase vocoder technique).
+   *
+   * @param {Number} previousPhase Value of the phase property hop samples ago.
+   * @param {Number} hop How many samples were processed since.
+   * @return {Number} Frequency, in cycles per sample (multiply by the sample rate to get Hz).
+   * @memberof DFTBin
+   * @example
+   * const previousPhase = bin.phase
+   * // ...update the bin with 128 more samples...
+   * const frequency = bin.instantaneousFrequency(previousPhase, 128) * sampleRate
+   */
+  instantaneousFrequency (previousPhase, hop) {
+    return DFTBin.phaseAdvanceToFrequency(this.phase - previousPhase, this.k, this.N, hop)
+  }
+
+  /**
+   * The phase rotates by -2 * PI * k / N per sample at the bin center frequency (the coefficient is e^(-2 * PI * i * k / N));
+   * the excess rotation is the frequency deviation.
+   * Unambiguous as long as the tone is within sampleRate / (2 * hop) Hz of the bin center.
+   *
+   * @static
+   * @param {Number} phaseAdvance Phase difference between the measurements, in radians.
+   * @param {Number} k Frequency divided by the bandwidth.
+   * @param {Number} N Sample rate divided by the bandwidth.
+   * @param {Number} hop How many samples apart the measurements are.
+   * @return {Number} Frequency, in cycles per sample.
+   * @memberof DFTBin
+   */
+  static phaseAdvanceToFrequency (phaseAdvance, k, N, hop) {
+    const expected = 2 * Math.PI * k / N * hop
+    const deviation = -phaseAdvance - expected
+    // principal value, from -PI to PI
+    const wrapped = deviation - 2 * Math.PI * Math.round(deviation / (2 * Math.PI))
+    return (expected + wrapped) / (2 * Math.PI * hop)
+  }
 }
 
 /**
@@ -547,6 +688,27 @@ export class Tuning {
   }
 }
 
+/**
+ * Tuning with a precomputed mapping; handy for passing any Tuning through postMessage() or processorOptions.
+ *
+ * @class MappedTuning
+ * @extends {Tuning}
+ * @example
+ * const tuning = new MappedTuning(44100, new WerckmeisterTuning(44100).mapping)
+ */
+export class MappedTuning extends Tuning {
+  /**
+   * Creates an instance of MappedTuning.
+   * @param {Number} sampleRate Self-explanatory.
+   * @param {Array} mapping Array of objects containing k & N, one per band.
+   * @memberof MappedTuning
+   */
+  constructor (sampleRate, mapping) {
+    super(sampleRate, mapping.length)
+    this.mapping = mapping
+  }
+}
+
 /**
  * Essentially, creates an instance that provides the 'mapping',
  * which is an array of objects providing the values for i, k & N.
@@ -603,7 +765,7 @@ export class PianoTuning extends Tuning {
   }
 
   /**
-   * Computes the array of objects that specify the frequencies to analyze.
+   * Computes the array of objects that specify the frequencies to analyze (k & N for DFTBin, plus the nominal frequency of the key).
    *
    * @readonly
    * @memberof PianoTuning
@@ -613,12 +775,389 @@ export class PianoTuning extends Tuning {
     for (let key = 0; key < this.bands; key++) {
       const frequency = this.keyToFreq(key)
       const bandwidth = 2 * (this.keyToFreq(key + 0.5 * this.tolerance) - frequency)
-      output.push(this.frequencyAndBandwidthToKAndN(frequency, bandwidth))
+      output.push({ ...this.frequencyAndBandwidthToKAndN(frequency, bandwidth), frequency })
     }
     return output
   }
 }
 
+/**
+ * PianoTuning for the (non-equal) temperaments defined by the 12 pitch classes of an octave.
+ * The reference key (A4 by default) stays at the pitchFork frequency; the other keys deviate from the equal temperament.
+ *
+ * @class TemperamentTuning
+ * @extends {PianoTuning}
+ * @example
+ * // Werckmeister III, in cents above C
+ * const tuning = new TemperamentTuning(44100, 61, 33, 440.0, 1.0, [
+ *   0, 90.225, 192.18, 294.135, 390.225, 498.045, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18
+ * ])
+ * // prints 263.40 for the note C4 (instead of 261.63):
+ * console.log(tuning.keyToFreq(24).toFixed(2))
+ */
+export class TemperamentTuning extends PianoTuning {
+  /**
+   * Creates an instance of TemperamentTuning.
+   * @param {Number} sampleRate Self-explanatory.
+   * @param {Number} [keysNum=61] Most pianos will have 61 keys.
+   * @param {Number} [referenceKey=33] Key index for the pitchFork reference (A4 is the default; must be an A).
+   * @param {Number} [pitchFork=440.0] A4 is 440 Hz by default.
+   * @param {Number} [tolerance=1.0] frequency tolerance, range (0.0, 1.0].
+   * @param {Number[]} [cents] Pitches of the 12 notes of the octave, in cents above the tonic (equal temperament by default).
+   * @param {Number} [tonic=0] Pitch class of the note the temperament is built upon (0 is C; 9 is A).
+   * @memberof TemperamentTuning
+   */
+  constructor (
+    sampleRate,
+    keysNum = 61,
+    referenceKey = 33,
+    pitchFork = 440.0,
+    tolerance = 1.0,
+    cents = [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100],
+    tonic = 0
+  ) {
+    super(sampleRate, keysNum, referenceKey, pitchFork, tolerance)
+    if (cents.length !== 12) {
+      throw new RangeError('temperament must define exactly 12 pitch classes')
+    }
+    this.cents = cents
+    this.tonic = tonic
+  }
+
+  /**
+   * How far off the equal temperament the key is.
+   *
+   * @param {Number} key Key index (the fractional part is ignored).
+   * @return {Number} Deviation in cents.
+   * @memberof TemperamentTuning
+   */
+  deviation (key) {
+    const degree = (((9 + Math.floor(key) - this.referenceKey - this.tonic) % 12) + 12) % 12
+    return this.cents[degree] - 100 * degree
+  }
+
+  /**
+   * Converts the piano key number to it's fundamental frequency.
+   * Fractional keys are the equal-tempered fractions of semitone above the (tempered) key.
+   *
+   * @param {Number} key
+   * @return {Number} frequency
+   * @memberof TemperamentTuning
+   */
+  keyToFreq (key) {
+    return super.keyToFreq(key) * Math.pow(2, (this.deviation(key) - this.deviation(this.referenceKey)) / 1200)
+  }
+}
+
+/**
+ * 5-limit just intonation.
+ *
+ * @class JustIntonationTuning
+ * @extends {TemperamentTuning}
+ */
+export class JustIntonationTuning extends TemperamentTuning {
+  /**
+   * Creates an instance of JustIntonationTuning.
+   * @param {Number} sampleRate Self-explanatory.
+   * @param {Number} [keysNum=61] Most pianos will have 61 keys.
+   * @param {Number} [referenceKey=33] Key index for the pitchFork reference (A4 is the default).
+   * @param {Number} [pitchFork=440.0] A4 is 440 Hz by default.
+   * @param {Number} [tolerance=1.0] frequency tolerance, range (0.0, 1.0].
+   * @param {Number} [tonic=0] Pitch class the scale is built upon (0 is C).
+   * @memberof JustIntonationTuning
+   */
+  constructor (sampleRate, keysNum = 61, referenceKey = 33, pitchFork = 440.0, tolerance = 1.0, tonic = 0) {
+    // 1/1 16/15 9/8 6/5 5/4 4/3 45/32 3/2 8/5 5/3 9/5 15/8
+    super(sampleRate, keysNum, referenceKey, pitchFork, tolerance, [
+      0, 111.731, 203.91, 315.641, 386.314, 498.045, 590.224, 701.955, 813.686, 884.359, 1017.596, 1088.269
+    ], tonic)
+  }
+}
+
+/**
+ * Pythagorean tuning (pure fifths, from Eb to G#).
+ *
+ * @class PythagoreanTuning
+ * @extends {TemperamentTuning}
+ */
+export class PythagoreanTuning extends TemperamentTuning {
+  /**
+   * Creates an instance of PythagoreanTuning.
+   * @param {Number} sampleRate Self-explanatory.
+   * @param {Number} [keysNum=61] Most pianos will have 61 keys.
+   * @param {Number} [referenceKey=33] Key index for the pitchFork reference (A4 is the default).
+   * @param {Number} [pitchFork=440.0] A4 is 440 Hz by default.
+   * @param {Number} [tolerance=1.0] frequency tolerance, range (0.0, 1.0].
+   * @param {Number} [tonic=0] Pitch class the scale is built upon (0 is C).
+   * @memberof PythagoreanTuning
+   */
+  constructor (sampleRate, keysNum = 61, referenceKey = 33, pitchFork = 440.0, tolerance = 1.0, tonic = 0) {
+    // 1/1 2187/2048 9/8 32/27 81/64 4/3 729/512 3/2 6561/4096 27/16 16/9 243/128
+    super(sampleRate, keysNum, referenceKey, pitchFork, tolerance, [
+      0, 113.685, 203.91, 294.135, 407.82, 498.045, 611.73, 701.955, 815.64, 905.865, 996.09, 1109.775
+    ], tonic)
+  }
+}
+
+/**
+ * Quarter-comma meantone (pure major thirds, from Eb to G#).
+ *
+ * @class MeantoneTuning
+ * @extends {TemperamentTuning}
+ */
+export class MeantoneTuning extends TemperamentTuning {
+  /**
+   * Creates an instance of MeantoneTuning.
+   * @param {Number} sampleRate Self-explanatory.
+   * @param {Number} [keysNum=61] Most pianos will have 61 keys.
+   * @param {Number} [referenceKey=33] Key index for the pitchFork reference (A4 is the default).
+   * @param {Number} [pitchFork=440.0] A4 is 440 Hz by default.
+   * @param {Number} [tolerance=1.0] frequency tolerance, range (0.0, 1.0].
+   * @param {Number} [tonic=0] Pitch class the scale is built upon (0 is C).
+   * @memberof MeantoneTuning
+   */
+  constructor (sampleRate, keysNum = 61, referenceKey = 33, pitchFork = 440.0, tolerance = 1.0, tonic = 0) {
+    super(sampleRate, keysNum, referenceKey, pitchFork, tolerance, [
+      0, 76.049, 193.157, 310.265, 386.314, 503.422, 579.471, 696.578, 772.627, 889.735, 1006.843, 1082.892
+    ], tonic)
+  }
+}
+
+/**
+ * Werckmeister III well temperament.
+ *
+ * @class WerckmeisterTuning
+ * @extends {TemperamentTuning}
+ */
+export class WerckmeisterTuning extends TemperamentTuning {
+  /**
+   * Creates an instance of WerckmeisterTuning.
+   * @param {Number} sampleRate Self-explanatory.
+   * @param {Number} [keysNum=61] Most pianos will have 61 keys.
+   * @param {Number} [referenceKey=33] Key index for the pitchFork reference (A4 is the default).
+   * @param {Number} [pitchFork=440.0] A4 is 440 Hz by default.
+   * @param {Number} [tolerance=1.0] frequency tolerance, range (0.0, 1.0].
+   * @param {Number} [tonic=0] Pitch class the scale is built upon (0 is C).
+   * @memberof WerckmeisterTuning
+   */
+  constructor (sampleRate, keysNum = 61, referenceKey = 33, pitchFork = 440.0, tolerance = 1.0, tonic = 0) {
+    super(sampleRate, keysNum, referenceKey, pitchFork, tolerance, [
+      0, 90.225, 192.18, 294.135, 390.225, 498.045, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18
+    ], tonic)
+  }
+}
+
+/**
+ * Kirnberger III well temperament.
+ *
+ * @class KirnbergerTuning
+ * @extends {TemperamentTuning}
+ */
+export class KirnbergerTuning extends TemperamentTuning {
+  /**
+   * Creates an instance of KirnbergerTuning.
+   * @param {Number} sampleRate Self-explanatory.
+   * @param {Number} [keysNum=61] Most pianos will have 61 keys.
+   * @param {Number} [referenceKey=33] Key index for the pitchFork reference (A4 is the default).
+   * @param {Number} [pitchFork=440.0] A4 is 440 Hz by default.
+   * @param {Number} [tolerance=1.0] frequency tolerance, range (0.0, 1.0].
+   * @param {Number} [tonic=0] Pitch class the scale is built upon (0 is C).
+   * @memberof KirnbergerTuning
+   */
+  constructor (sampleRate, keysNum = 61, referenceKey = 33, pitchFork = 440.0, tolerance = 1.0, tonic = 0) {
+    super(sampleRate, keysNum, referenceKey, pitchFork, tolerance, [
+      0, 90.225, 193.157, 294.135, 386.314, 498.045, 590.224, 696.578, 792.18, 889.735, 996.09, 1088.269
+    ], tonic)
+  }
+}
+
+/**
+ * PianoTuning defined by the Scala scale (.scl) & keyboard mapping (.kbm) files.
+ * Without the keyboard mapping, the first scale degree is mapped to the MIDI note 60 (C4) and the pitchFork frequency to the MIDI note 69 (A4).
+ * The keys left unmapped by the .kbm file fall back to the equal temperament.
+ *
+ * @see {@link https://www.huygens-fokker.org/scala/scl_format.html}
+ * @see {@link https://www.huygens-fokker.org/scala/help.htm#mappings}
+ * @class ScalaTuning
+ * @extends {PianoTuning}
+ * @example
+ * const scl = await fetch('werck3.scl').then(response => response.text())
+ * const tuning = new ScalaTuning(44100, 61, 33, 440.0, 1.0, scl)
+ */
+export class ScalaTuning extends PianoTuning {
+  /**
+   * Creates an instance of ScalaTuning.
+   * @param {Number} sampleRate Self-explanatory.
+   * @param {Number} [keysNum=61] Most pianos will have 61 keys.
+   * @param {Number} [referenceKey=33] Key index of A4 (keys are mapped to MIDI notes relative to it).
+   * @param {Number} [pitchFork=440.0] A4 frequency, unless the keyboard mapping defines another reference.
+   * @param {Number} [tolerance=1.0] frequency tolerance, range (0.0, 1.0].
+   * @param {String} scl Contents of the .scl file.
+   * @param {String} [kbm=null] Contents of the .kbm file.
+   * @memberof ScalaTuning
+   */
+  constructor (
+    sampleRate,
+    keysNum = 61,
+    referenceKey = 33,
+    pitchFork = 440.0,
+    tolerance = 1.0,
+    scl = '',
+    kbm = null
+  ) {
+    super(sampleRate, keysNum, referenceKey, pitchFork, tolerance)
+    this.scale = ScalaTuning.parseScale(scl)
+    this.keyboardMapping = kbm === null
+      ? {
+          size: 0,
+          firstNote: 0,
+          lastNote: 127,
+          middleNote: 60,
+          referenceNote: 69,
+          referenceFrequency: pitchFork,
+          octaveDegree: this.scale.ratios.length,
+          map: []
+        }
+      : ScalaTuning.parseKeyboardMapping(kbm)
+  }
+
+  /**
+   * Strip the comments from the Scala file.
+   *
+   * @static
+   * @param {String} text File contents.
+   * @return {String[]} Meaningful lines.
+   * @memberof ScalaTuning
+   */
+  static lines (text) {
+    return text
+      .split(/\r?\n/)
+      .filter(line => line.charAt(0) !== '!')
+  }
+
+  /**
+   * Parse the .scl file.
+   *
+   * @static
+   * @param {String} text File contents.
+   * @return {Object} Object containing the description & the frequency ratios of the scale degrees (the last one is the period, usually 2/1).
+   * @memberof ScalaTuning
+   */
+  static parseScale (text) {
+    const lines = ScalaTuning.lines(text)
+    const description = (lines.shift() || '').trim()
+    const notesNum = parseInt(lines.shift())
+    if (!(notesNum > 0)) {
+      throw new SyntaxError('.scl file must define at least 1 note')
+    }
+
+    const ratios = []
+    for (const line of lines) {
+      const pitch = line.trim().split(/\s+/)[0]
+      if (pitch === '') {
+        continue
+      } else if (pitch.includes('.')) {
+        ratios.push(Math.pow(2, parseFloat(pitch) / 1200))
+      } else {
+        const [numerator, denominator = '1'] = pitch.split('/')
+        ratios.push(parseInt(numerator) / parseInt(denominator))
+      }
+      if (ratios.length === notesNum) {
+        break
+      }
+    }
+
+    if (ratios.length !== notesNum || ratios.some(ratio => !(ratio > 0))) {
+      throw new SyntaxError(`.scl file must define ${notesNum} positive pitches`)
+    }
+    return { description, ratios }
+  }
+
+  /**
+   * Parse the .kbm file.
+   *
+   * @static
+   * @param {String} text File contents.
+   * @return {Object} Keyboard mapping; the unmapped keys are null.
+   * @memberof ScalaTuning
+   */
+  static parseKeyboardMapping (text) {
+    const lines = ScalaTuning.lines(text)
+      .map(line => line.trim().split(/\s+/)[0])
+      .filter(line => line !== '')
+    const header = lines.slice(0, 7).map(parseFloat)
+    if (header.length !== 7 || header.some(isNaN)) {
+      throw new SyntaxError('.kbm file header is incomplete')
+    }
+
+    const [size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree] = header
+    const map = []
+    for (let i = 0; i < size; i++) {
+      const degree = parseInt(lines[7 + i])
+      map.push(isNaN(degree) ? null : degree)
+    }
+    return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, map }
+  }
+
+  /**
+   * Scale degree of the MIDI note, according to the keyboard mapping.
+   *
+   * @param {Number} note MIDI note number.
+   * @return {Number|null} Degree (can be negative, or span several periods); null when unmapped.
+   * @memberof ScalaTuning
+   */
+  noteToDegree (note) {
+    const { size, firstNote, lastNote, middleNote, octaveDegree, map } = this.keyboardMapping
+    if (note < firstNote || note > lastNote) {
+      return null
+    } else if (size === 0) {
+      return note - middleNote
+    }
+
+    const offset = note - middleNote
+    const degree = map[((offset % size) + size) % size]
+    return degree === null
+      ? null
+      : degree + Math.floor(offset / size) * (octaveDegree || this.scale.ratios.length)
+  }
+
+  /**
+   * Frequency ratio of the scale degree, relative to the degree 0.
+   *
+   * @param {Number} degree Scale degree.
+   * @return {Number} Frequency ratio.
+   * @memberof ScalaTuning
+   */
+  degreeToRatio (degree) {
+    const ratios = this.scale.ratios
+    const notesNum = ratios.length
+    const index = ((degree % notesNum) + notesNum) % notesNum
+    const period = Math.floor(degree / notesNum)
+    return Math.pow(ratios[notesNum - 1], period) * (index === 0 ? 1 : ratios[index - 1])
+  }
+
+  /**
+   * Converts the piano key number to it's fundamental frequency.
+   * Fractional keys are the equal-tempered fractions of semitone above the (tuned) key.
+   *
+   * @param {Number} key
+   * @return {Number} frequency
+   * @memberof ScalaTuning
+   */
+  keyToFreq (key) {
+    const wholeKey = Math.floor(key)
+    const degree = this.noteToDegree(69 + wholeKey - this.referenceKey)
+    const referenceDegree = this.noteToDegree(this.keyboardMapping.referenceNote)
+    if (degree === null || referenceDegree === null) {
+      return super.keyToFreq(key)
+    }
+
+    return this.keyboardMapping.referenceFrequency *
+      this.degreeToRatio(degree) / this.degreeToRatio(referenceDegree) *
+      Math.pow(2, (key - wholeKey) / 12)
+  }
+}
+
 /**
  * Sliding Discrete Fourier Transform implementation for (westerns) musical frequencies.
  *
@@ -634,23 +1173,58 @@ export class PianoTuning extends Tuning {
  * let output
  * // just process; no moving average
  * output = slidingDFT.process(input)
+ * // switch to dBFS, with -60dB floor
+ * slidingDFT.outputMode = 'decibels'
+ * slidingDFT.decibelFloor = -60
+ * // how sharp (positive) or flat (negative) each key is, updated by every process() call
+ * slidingDFT.pitchTracking = true
+ * slidingDFT.process(input)
+ * console.log(slidingDFT.cents[33])
  */
 export class SlidingDFT {
   /**
    * Creates an instance of SlidingDFT.
    * @param {Tuning} tuning Tuning instance (a class derived from Tuning; for instance, PianoTuning).
    * @param {Number} [maxAverageWindowInSeconds=0] Positive values are passed to MovingAverage implementation; negative values trigger FastMovingAverage implementation. Zero disables averaging.
+   * @param {String} [outputMode='normalized'] Scale of the output levels; one of SlidingDFT.OUTPUT_MODES.
+   * @param {Number} [decibelFloor=-96] Lowest level in the 'decibels' output mode.
+   * @param {Boolean} [pitchTracking=false] Estimate the deviation of every key from its nominal frequency, in cents (see the cents property).
    * @memberof SlidingDFT
    */
-  constructor (tuning, maxAverageWindowInSeconds = 0) {
+  constructor (tuning, maxAverageWindowInSeconds = 0, outputMode = 'normalized', decibelFloor = -96, pitchTracking = false) {
     this.sampleRate = tuning.sampleRate
     this.bands = tuning.bands
-    this.bins = []
     this.levels = new Float32Array(this.bands)
+    this.outputMode = outputMode
+    this.decibelFloor = decibelFloor
+    this.pitchTracking = pitchTracking
+    // parallel to the levels; meaningful only where the level is high enough
+    this.cents = new Float32Array(this.bands)
+    this.previousPhase = null // no reference measurement yet
+    this.estimatedFrequency = null
+
+    // struct-of-arrays state of all the DFTBins, so that the hot loop allocates nothing;
+    // doubles, to produce exactly the same output as DFTBin
+    this.N = new Uint32Array(this.bands)
+    this.r = new Float64Array(this.bands)
+    this.coeffRe = new Float64Array(this.bands)
+    this.coeffIm = new Float64Array(this.bands)
+    this.dftRe = new Float64Array(this.bands)
+    this.dftIm = new Float64Array(this.bands)
+    this.totalPower = new Float64Array(this.bands)
+    this.k = new Uint32Array(this.bands)
+    this.frequency = new Float64Array(this.bands)
 
     let maxN = 0
-    tuning.mapping.forEach((band) => {
-      this.bins.push(new DFTBin(band.k, band.N))
+    tuning.mapping.forEach((band, n) => {
+      const bin = new DFTBin(band.k, band.N) // validates k & N
+      this.k[n] = bin.k
+      // nominal frequency of the key; the bin center is just an approximation
+      this.frequency[n] = band.frequency || this.sampleRate * band.k / band.N
+      this.N[n] = bin.N
+      this.r[n] = bin.r
+      this.coeffRe[n] = bin.coeff.re
+      this.coeffIm[n] = bin.coeff.im
       maxN = Math.max(maxN, band.N)
     })
 
@@ -672,47 +1246,369 @@ export class SlidingDFT {
     }
   }
 
+  /**
+   * Supported output scales:
+   * 'normalized' is the squared normalized amplitude spectrum, between 0.0 and 1.0 (default; best for visualization);
+   * 'sqrt' is the normalized amplitude spectrum, between 0.0 and 1.0 (same as the `-y` option of the CLI utility);
+   * 'amplitude' is the amplitude spectrum in RMS units of the input (a full-scale sine wave is 0.707);
+   * 'decibels' is the amplitude spectrum in dBFS (a full-scale sine wave is 0dB), clamped by the decibelFloor.
+   * Normalized modes measure how *pure* the tone is, and are independent of the volume; the others measure how *loud* it is.
+   *
+   * @readonly
+   * @static
+   * @memberof SlidingDFT
+   */
+  static get OUTPUT_MODES () {
+    return ['normalized', 'sqrt', 'amplitude', 'decibels']
+  }
+
+  /**
+   * Get the current output scale.
+   *
+   * @memberof SlidingDFT
+   */
+  get outputMode () {
+    return this._outputMode
+  }
+
+  /**
+   * Set the output scale (can be updated on-fly; the moving average settles within its window).
+   *
+   * @memberof SlidingDFT
+   */
+  set outputMode (value) {
+    if (!SlidingDFT.OUTPUT_MODES.includes(value)) {
+      throw new RangeError(`output mode must be one of: ${SlidingDFT.OUTPUT_MODES.join(', ')}`)
+    }
+    this._outputMode = value
+  }
+
   /**
    * Process a batch of samples.
    *
-   * @param {Float32Array} samples Array with the batch of samples to process. Value range is irrelevant (can be from -1.0 to 1.0 or 0 to 255 or whatever, as long as it is consistent).
+   * @param {Float32Array} samples Array with the batch of samples to process. Value range is irrelevant (can be from -1.0 to 1.0 or 0 to 255 or whatever, as long as it is consistent), except for dBFS, which expects -1.0 to 1.0.
    * @param {Number} [averageWindowInSeconds=0] Adjust the moving average window size.
-   * @return {Float32Array} Snapshot of the *squared* levels after processing all the samples. Value range is between 0.0 and 1.0. Depending on the application, you might need Math.sqrt() of the level values (for visualization purposes it is actually better as is).
+   * @return {Float32Array} Snapshot of the levels after processing all the samples, in the scale defined by outputMode (by default, *squared* levels between 0.0 and 1.0; for visualization purposes it is actually better as is).
    * @memberof SlidingDFT
    */
   process (samples, averageWindowInSeconds = 0) {
     if (this.movingAverage !== null) {
       this.movingAverage.averageWindowInSeconds = averageWindowInSeconds
     }
+    const outputMode = this._outputMode
+    // the moving average runs on the linear scales; sqrt & dB are applied to the snapshot
+    const amplitudeMode = outputMode === 'amplitude' || outputMode === 'decibels'
     const windowSize = samples.length
-    const binsNum = this.bins.length
+    const binsNum = this.bands
+    const { N, r, coeffRe, coeffIm, dftRe, dftIm, totalPower, levels, movingAverage } = this
+    const ringBuffer = this.ringBuffer
+    const history = ringBuffer.buffer
+    const mask = ringBuffer.mask
 
     // store in the ring buffer & process
     for (let i = 0; i < windowSize; i++) {
       const currentSample = samples[i]
       samples[i] = 0
-      this.ringBuffer.write(currentSample)
+      ringBuffer.write(currentSample)
+      const index = ringBuffer.index
+      const currentPower = currentSample * currentSample
+      // without the moving average, only the last levels matter
+      const needLevels = movingAverage !== null || i === windowSize - 1
 
       for (let band = 0; band < binsNum; band++) {
-        const bin = this.bins[band]
-        const previousSample = this.ringBuffer.read(bin.N)
-        bin.update(previousSample, currentSample)
-        this.levels[band] = bin.normalizedAmplitudeSpectrum
-        // this.levels[band] = bin.logarithmicUnitDecibels
+        // same as DFTBin.update(), inlined
+        const previousSample = history[(index + (~N[band])) & mask]
+        totalPower[band] += currentPower
+        totalPower[band] -= previousSample * previousSample
+
+        const re = dftRe[band] - previousSample + currentSample
+        const im = dftIm[band]
+        const nextRe = re * coeffRe[band] - im * coeffIm[band]
+        const nextIm = re * coeffIm[band] + im * coeffRe[band]
+        dftRe[band] = nextRe
+        dftIm[band] = nextIm
+
+        if (needLevels) {
+          const norm = nextRe * nextRe + nextIm * nextIm
+          if (amplitudeMode) {
+            // same as DFTBin.amplitudeSpectrum
+            levels[band] = Math.SQRT2 * Math.sqrt(norm) / N[band]
+          } else {
+            // same as DFTBin.normalizedAmplitudeSpectrum
+            const power = totalPower[band]
+            levels[band] = power > 0
+              ? r[band] * norm / power
+              : 0
+          }
+        }
       }
 
-      if (this.movingAverage !== null) {
-        this.movingAverage.update(this.levels)
+      if (movingAverage !== null) {
+        movingAverage.update(levels)
       }
     }
 
     // snapshot of the levels, after smoothing
-    if (this.movingAverage !== null && this.movingAverage.averageWindow > 0) {
+    if (movingAverage !== null && movingAverage.averageWindow > 0) {
       for (let band = 0; band < binsNum; band++) {
-        this.levels[band] = this.movingAverage.read(band)
+        levels[band] = movingAverage.read(band)
+      }
+    }
+
+    if (this.pitchTracking) {
+      this.updateCents(windowSize, averageWindowInSeconds)
+    } else {
+      this.previousPhase = null
+    }
+
+    if (outputMode === 'sqrt') {
+      for (let band = 0; band < binsNum; band++) {
+        levels[band] = Math.sqrt(levels[band])
+      }
+    } else if (outputMode === 'decibels') {
+      for (let band = 0; band < binsNum; band++) {
+        // 0dBFS is the RMS amplitude of the full-scale sine wave
+        levels[band] = Math.max(this.decibelFloor, 20 * Math.log10(Math.SQRT2 * levels[band]))
+      }
+    }
+
+    return levels
+  }
+
+  /**
+   * Estimate the frequency of every bin from the phase advance since the previous process() call.
+   * Unambiguous while the tone is within sampleRate / (2 * hop) Hz of the bin center (±172Hz for 128 samples at 44100Hz).
+   * The estimates wobble due to the mirror image of the tone (most noticeable on the lower keys), so they are smoothed.
+   *
+   * @param {Number} hop How many samples were processed since the previous call.
+   * @param {Number} [averageWindowInSeconds=0] Smoothing time constant; 0 disables smoothing.
+   * @memberof SlidingDFT
+   */
+  updateCents (hop, averageWindowInSeconds = 0) {
+    const { k, N, frequency, dftRe, dftIm, cents } = this
+    const isFirst = this.previousPhase === null
+    if (isFirst) {
+      this.previousPhase = new Float64Array(this.bands)
+      this.estimatedFrequency = new Float64Array(frequency)
+    }
+
+    const smoothing = averageWindowInSeconds > 0
+      ? Math.min(1, hop / (averageWindowInSeconds * this.sampleRate))
+      : 1
+    for (let band = 0; band < this.bands; band++) {
+      const phase = Math.atan2(dftIm[band], dftRe[band])
+      if (!isFirst && hop > 0) {
+        const estimated = DFTBin.phaseAdvanceToFrequency(phase - this.previousPhase[band], k[band], N[band], hop) * this.sampleRate
+        this.estimatedFrequency[band] += smoothing * (estimated - this.estimatedFrequency[band])
+        cents[band] = this.estimatedFrequency[band] > 0
+          ? 1200 * Math.log2(this.estimatedFrequency[band] / frequency[band])
+          : 0
+      }
+      this.previousPhase[band] = phase
+    }
+  }
+}
+
+/**
+ * Removes the "ghost notes" lit by the overtones of the notes actually played.
+ * The energy expected at the octave, twelfth & double-octave partials of every key is taken away from them and
+ * attributed back to the (likely) fundamental. Expected partial levels follow the harmonic series of a sawtooth
+ * wave (the level of the n-th partial is 1/n² of the fundamental), scaled by the strength.
+ *
+ * @class HarmonicSuppressor
+ * @example
+ * const harmonicSuppressor = new HarmonicSuppressor(61)
+ * // for every processed frame (levels are overwritten in-place)
+ * harmonicSuppressor.process(slidingDFT.process(input))
+ */
+export class HarmonicSuppressor {
+  /**
+   * Creates an instance of HarmonicSuppressor.
+   * @param {Number} bands Number of keys; the levels are expected to be one semitone apart.
+   * @param {Number} [strength=1.0] Multiplier of the expected partial levels; 0 disables the suppression.
+   * @memberof HarmonicSuppressor
+   */
+  constructor (bands, strength = 1.0) {
+    this.bands = bands
+    this.strength = strength
+    // partial offsets, in semitones, and their expected level relative to the fundamental
+    this.partials = [
+      { offset: 12, ratio: 1 / 4 }, // octave
+      { offset: 19, ratio: 1 / 9 }, // twelfth
+      { offset: 24, ratio: 1 / 16 } // double octave
+    ]
+  }
+
+  /**
+   * Suppress the partials, from the lowest key up.
+   *
+   * @param {Float32Array} levels Snapshot of the *squared* levels, as returned by SlidingDFT; overwritten in-place.
+   * @return {Float32Array} Same levels array, for convenience.
+   * @memberof HarmonicSuppressor
+   */
+  process (levels) {
+    if (this.strength <= 0) {
+      return levels
+    }
+
+    for (let key = 0; key < this.bands; key++) {
+      const fundamental = levels[key]
+      if (fundamental === 0) {
+        continue
+      }
+
+      let attributed = 0
+      for (const partial of this.partials) {
+        const harmonic = key + partial.offset
+        if (harmonic >= this.bands) {
+          break
+        }
+        const ghost = Math.min(levels[harmonic], this.strength * partial.ratio * fundamental)
+        levels[harmonic] -= ghost
+        attributed += ghost
       }
+      levels[key] = Math.min(fundamental + attributed, 1.0)
     }
 
-    return this.levels
+    return levels
+  }
+}
+
+/**
+ * Turns the continuous per-key levels (as returned by SlidingDFT) into discrete note events.
+ * A note starts when the level exceeds the attack threshold and lasts while it stays above the release threshold;
+ * notes shorter than minLength are dropped. With the same attack & release, it behaves just like misc/transcribe2midi.pl
+ * (which only sees the levels that pass the noise gate of the CLI utility, the strictly higher ones).
+ *
+ * @class NoteTracker
+ * @example
+ * const tracker = new NoteTracker(61, { attack: 0.05, release: 0.025, minLength: 0.1 })
+ * // for every processed frame
+ * const levels = slidingDFT.process(input, 0.04)
+ * for (const event of tracker.process(levels, currentTime)) {
+ *   // prints something like "noteon 33 1.234 0.87"
+ *   console.log(event.type, event.key, event.time, event.velocity)
+ * }
+ * // flush the notes that are still sounding at the end of the stream
+ * tracker.finalize(currentTime)
+ */
+export class NoteTracker {
+  /**
+   * Creates an instance of NoteTracker.
+   * @param {Number} keysNum Number of levels per frame.
+   * @param {Object} [options={}]
+   * @param {Number} [options.attack=0.05] The levels above this trigger a note.
+   * @param {Number} [options.release=attack/2] The note is released once the level is not above this (must not be higher than attack).
+   * @param {Number} [options.minLength=0.1] Minimum note length, in seconds.
+   * @memberof NoteTracker
+   */
+  constructor (keysNum, { attack = 0.05, release = attack / 2, minLength = 0.1 } = {}) {
+    if (release > attack) {
+      throw new RangeError('release threshold must not exceed the attack threshold')
+    }
+
+    this.keysNum = keysNum
+    this.attack = attack
+    this.release = release
+    this.minLength = minLength
+
+    this.active = new Uint8Array(keysNum)
+    this.announced = new Uint8Array(keysNum)
+    this.start = new Float64Array(keysNum)
+    this.sum = new Float64Array(keysNum)
+    this.count = new Uint32Array(keysNum)
+  }
+
+  /**
+   * Forget all the sounding notes (without emitting the noteoff events).
+   *
+   * @memberof NoteTracker
+   */
+  reset () {
+    this.active.fill(0)
+    this.announced.fill(0)
+  }
+
+  /**
+   * Feed one frame of levels.
+   *
+   * @param {Float32Array} levels Snapshot of the *squared* levels, one per key.
+   * @param {Number} time Timestamp of the frame, in seconds.
+   * @return {Array} Events detected in this frame; objects with type ('noteon' or 'noteoff'), key, time & velocity (0.0 to 1.0).
+   * Note that noteon is only emitted once the note has lasted minLength, yet its time is the one of the onset.
+   * @memberof NoteTracker
+   */
+  process (levels, time) {
+    const events = []
+    for (let key = 0; key < this.keysNum; key++) {
+      const level = levels[key]
+      if (!this.active[key]) {
+        if (level > this.attack) {
+          this.active[key] = 1
+          this.announced[key] = 0
+          this.start[key] = time
+          this.sum[key] = 0
+          this.count[key] = 0
+        } else {
+          continue
+        }
+      } else if (level <= this.release) {
+        if (this.announced[key]) {
+          events.push({ type: 'noteoff', key, time, velocity: 0 })
+        }
+        this.active[key] = 0
+        continue
+      }
+
+      // velocity is the average amplitude (square root of the level) over the onset period
+      if (!this.announced[key]) {
+        this.sum[key] += Math.sqrt(level)
+        this.count[key]++
+        if (time - this.start[key] >= this.minLength) {
+          events.push(this.noteOn(key))
+        }
+      }
+    }
+    return events
+  }
+
+  /**
+   * Release all the sounding notes.
+   *
+   * @param {Number} time Timestamp of the end of the stream, in seconds.
+   * @return {Array} Pending events, same as process().
+   * @memberof NoteTracker
+   */
+  finalize (time) {
+    const events = []
+    for (let key = 0; key < this.keysNum; key++) {
+      if (!this.active[key]) {
+        continue
+      } else if (!this.announced[key] && time - this.start[key] >= this.minLength) {
+        events.push(this.noteOn(key))
+      }
+      if (this.announced[key]) {
+        events.push({ type: 'noteoff', key, time, velocity: 0 })
+      }
+      this.active[key] = 0
+    }
+    return events
+  }
+
+  /**
+   * Build the noteon event for the key in the onset state.
+   *
+   * @param {Number} key Key index.
+   * @return {Object} The noteon event.
+   * @memberof NoteTracker
+   */
+  noteOn (key) {
+    this.announced[key] = 1
+    return {
+      type: 'noteon',
+      key,
+      time: this.start[key],
+      velocity: Math.min(this.sum[key] / this.count[key], 1)
+    }
   }
 }
@@ -0,0 +1,208 @@
+/**
+ * @file play-along.js
+ * @description Grading of the practice: compares the notes detected in the levels with the timed reference part.
+ * @license MIT
+ */
+
+import { NoteTracker } from './pianolizer.js'
+
+/**
+ * Pair the note-on & note-off messages of the reference part.
+ *
+ * @param {Array} events Channel messages as in MIDIFileReader.events (objects with time & data), ordered by time.
+ * @return {Array} Notes, as objects with note (MIDI note number), start & end (in seconds), ordered by start; the percussion channel (10) is skipped.
+ */
+export function extractNotes (events) {
+  const notes = []
+  const sounding = new Map()
+  for (const { time, data } of events) {
+    const [status, note, velocity] = data
+    const command = status & 0xf0
+    const key = ((status & 0x0f) << 7) | note
+    if ((status & 0x0f) === 9 || (command !== 0x90 && command !== 0x80)) {
+      continue
+    }
+    const started = sounding.get(key)
+    if (started !== undefined) {
+      started.end = time
+      sounding.delete(key)
+    }
+    if (command === 0x90 && velocity > 0) {
+      const current = { note, start: time, end: Infinity }
+      notes.push(current)
+      sounding.set(key, current)
+    }
+  }
+  return notes
+}
+
+/**
+ * Scores every expected note as hit, early, late, wrong (pitch) or missed, as the performance goes.
+ * The onsets are detected by NoteTracker; each expected note is graded once its tolerance window is over,
+ * matched against the nearest onset of the same pitch (or, lacking it, of any pitch).
+ *
+ * @class PlayAlongScorer
+ * @example
+ * const scorer = new PlayAlongScorer(extractNotes(reader.events), 61, 36)
+ * // for every frame of levels, with the time on the timeline of the reference part
+ * for (const mark of scorer.process(levels, time)) {
+ *   // prints something like "60 1.5 late 0.21"
+ *   console.log(mark.note, mark.time, mark.result, mark.offset)
+ * }
+ * // at the end of the reference part
+ * scorer.finalize()
+ * console.log(`${Math.round(100 * scorer.summary.accuracy)}%`)
+ */
+export class PlayAlongScorer {
+  /**
+   * Creates an instance of PlayAlongScorer.
+   * @param {Array} referenceNotes As returned by extractNotes(); the ones outside of the keyboard are ignored.
+   * @param {Number} keysNum Number of levels per frame.
+   * @param {Number} firstNote MIDI note number of the first key.
+   * @param {Object} [options={}]
+   * @param {Number} [options.startTime=0] Only the notes that start from here on are expected (for instance, after seeking).
+   * @param {Number} [options.threshold=0.1] Level that triggers a note.
+   * @param {Number} [options.minLength=0.05] Minimum note length, in seconds.
+   * @param {Number} [options.tolerance=0.15] Largest timing error of a hit, in seconds.
+   * @param {Number} [options.window=0.5] Largest timing error of an early or late note, in seconds.
+   * @memberof PlayAlongScorer
+   */
+  constructor (referenceNotes, keysNum, firstNote, { startTime = 0, threshold = 0.1, minLength = 0.05, tolerance = 0.15, window = 0.5 } = {}) {
+    this.firstNote = firstNote
+    this.tolerance = tolerance
+    this.window = window
+    this.expected = referenceNotes.filter(note =>
+      note.start >= startTime && note.note >= firstNote && note.note < firstNote + keysNum)
+    this.next = 0 // index of the next expected note to grade
+    this.onsets = []
+    this.noteTracker = new NoteTracker(keysNum, { attack: threshold, minLength })
+    this.counts = { hit: 0, early: 0, late: 0, wrong: 0, missed: 0 }
+  }
+
+  /**
+   * Possible grades of an expected note.
+   *
+   * @readonly
+   * @static
+   * @memberof PlayAlongScorer
+   */
+  static get RESULTS () {
+    return ['hit', 'early', 'late', 'wrong', 'missed']
+  }
+
+  /**
+   * Totals so far.
+   *
+   * @readonly
+   * @memberof PlayAlongScorer
+   * @return {Object} Count of each result, graded (how many notes were graded), total (how many are expected)
+   * & accuracy (share of the hits among the graded notes, from 0.0 to 1.0; null before the first one).
+   */
+  get summary () {
+    const graded = this.next
+    return {
+      ...this.counts,
+      graded,
+      total: this.expected.length,
+      accuracy: graded === 0 ? null : this.counts.hit / graded
+    }
+  }
+
+  /**
+   * Feed one frame of the detected levels.
+   *
+   * @param {Float32Array} levels Per-key levels, between 0.0 and 1.0.
+   * @param {Number} time Position of the frame on the timeline of the reference part, in seconds.
+   * @return {Array} Expected notes graded in this frame; objects with note, time (when it was expected),
+   * result (one of PlayAlongScorer.RESULTS) & offset (how late it was played, in seconds; null when missed).
+   * @memberof PlayAlongScorer
+   */
+  process (levels, time) {
+    for (const event of this.noteTracker.process(levels, time)) {
+      if (event.type === 'noteon') {
+        this.onsets.push({ note: this.firstNote + event.key, time: event.time, used: false })
+      }
+    }
+
+    const marks = []
+    while (this.next < this.expected.length && this.expected[this.next].start + this.window < time) {
+      marks.push(this.grade(this.expected[this.next++]))
+    }
+    // the onsets that can't match anything anymore
+    this.onsets = this.onsets.filter(onset => onset.time + 2 * this.window >= time)
+    return marks
+  }
+
+  /**
+   * Grade all the remaining expected notes (at the end of the reference part).
+   *
+   * @return {Array} Same as process().
+   * @memberof PlayAlongScorer
+   */
+  finalize () {
+    const marks = []
+    while (this.next < this.expected.length) {
+      marks.push(this.grade(this.expected[this.next++]))
+    }
+    return marks
+  }
+
+  /**
+   * Whether the onset may still match one of the expected notes that are not graded yet (for instance, the other notes of a chord),
+   * in which case it can't count as the wrong pitch.
+   *
+   * @param {Object} onset Detected note.
+   * @return {Boolean}
+   * @memberof PlayAlongScorer
+   */
+  isAwaited (onset) {
+    for (let i = this.next; i < this.expected.length && this.expected[i].start <= onset.time + this.window; i++) {
+      if (this.expected[i].note === onset.note && Math.abs(this.expected[i].start - onset.time) <= this.window) {
+        return true
+      }
+    }
+    return false
+  }
+
+  /**
+   * Match the expected note with the nearest unused onset: of the same pitch, or else, of any pitch.
+   *
+   * @param {Object} expected Reference note.
+   * @return {Object} Mark, same as the ones returned by process().
+   * @memberof PlayAlongScorer
+   */
+  grade (expected) {
+    let samePitch = null
+    let otherPitch = null
+    for (const onset of this.onsets) {
+      const distance = Math.abs(onset.time - expected.start)
+      if (onset.used || distance > this.window) {
+        continue
+      }
+      if (onset.note === expected.note) {
+        if (samePitch === null || distance < Math.abs(samePitch.time - expected.start)) {
+          samePitch = onset
+        }
+      } else if ((otherPitch === null || distance < Math.abs(otherPitch.time - expected.start)) && !this.isAwaited(onset)) {
+        otherPitch = onset
+      }
+    }
+
+    const onset = samePitch ?? otherPitch
+    let result = 'missed'
+    let offset = null
+    if (onset !== null) {
+      onset.used = true
+      offset = onset.time - expected.start
+      if (onset !== samePitch) {
+        result = 'wrong'
+      } else if (Math.abs(offset) <= this.tolerance) {
+        result = 'hit'
+      } else {
+        result = offset < 0 ? 'early' : 'late'
+      }
+    }
+    this.counts[result]++
+    return { note: expected.note, time: expected.start, result, offset }
+  }
+}
@@ -0,0 +1,350 @@
+/**
+ * @file practice-history.js
+ * @description Practice sessions: what was played & for how long, persisted in IndexedDB, with the daily/weekly statistics.
+ * @license MIT
+ */
+
+import { NoteTracker } from './pianolizer.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Local calendar date, as used for grouping the sessions.
+ *
+ * @param {Date|Number} date Date or timestamp (milliseconds).
+ * @return {string} YYYY-MM-DD.
+ */
+export function dateKey (date) {
+  const d = new Date(date)
+  return [
+    d.getFullYear(),
+    (d.getMonth() + 1).toString().padStart(2, '0'),
+    d.getDate().toString().padStart(2, '0')
+  ].join('-')
+}
+
+/**
+ * Measures a single practice session from the levels: the active playing time, the notes played & the key range used.
+ *
+ * @class PracticeSession
+ * @example
+ * const session = new PracticeSession(61, 36, 30)
+ * // for every frame of levels, with the audio time
+ * session.process(levels, currentFrame / sampleRate)
+ * // when done
+ * session.finish()
+ * await practiceHistory.put(session.toJSON())
+ */
+export class PracticeSession {
+  /**
+   * Creates an instance of PracticeSession.
+   * @param {Number} keysNum Number of levels per frame.
+   * @param {Number} firstNote MIDI note number of the first key.
+   * @param {Number} durationMinutes Length of the session chosen in the practice timer.
+   * @param {Object} [options={}]
+   * @param {Number} [options.threshold=0.6] Level of the played notes.
+   * @param {Number} [options.gap=2] Pauses shorter than this (in seconds) count as playing.
+   * @param {Number} [options.start=Date.now()] Wall clock time of the beginning, in milliseconds.
+   * @memberof PracticeSession
+   */
+  constructor (keysNum, firstNote, durationMinutes, { threshold = 0.6, gap = 2, start = Date.now() } = {}) {
+    this.firstNote = firstNote
+    this.threshold = threshold
+    this.gap = gap
+    this.id = undefined // assigned by PracticeHistory.put()
+    this.start = start
+    this.end = start
+    this.durationMinutes = durationMinutes
+    this.activeSeconds = 0
+    this.notesDetected = 0
+    this.lowestNote = null
+    this.highestNote = null
+    this.noteTracker = new NoteTracker(keysNum, { attack: threshold, minLength: 0.05 })
+    this.lastTime = null
+    this.lastActive = -Infinity
+  }
+
+  /**
+   * Feed one frame of levels.
+   *
+   * @param {Float32Array} levels Per-key levels, between 0.0 and 1.0.
+   * @param {Number} time Audio time of the frame, in seconds.
+   * @memberof PracticeSession
+   */
+  process (levels, time) {
+    for (const event of this.noteTracker.process(levels, time)) {
+      if (event.type === 'noteon') {
+        const note = this.firstNote + event.key
+        this.notesDetected++
+        this.lowestNote = this.lowestNote === null ? note : Math.min(this.lowestNote, note)
+        this.highestNote = this.highestNote === null ? note : Math.max(this.highestNote, note)
+      }
+    }
+
+    for (let key = 0; key < levels.length; key++) {
+      if (levels[key] >= this.threshold) {
+        this.lastActive = time
+        break
+      }
+    }
+    if (this.lastTime !== null && time - this.lastActive <= this.gap) {
+      this.activeSeconds += Math.max(0, Math.min(time - this.lastTime, this.gap))
+    }
+    this.lastTime = time
+    this.end = Date.now()
+  }
+
+  /**
+   * Close the session.
+   *
+   * @param {Number} [end=Date.now()] Wall clock time of the end, in milliseconds.
+   * @memberof PracticeSession
+   */
+  finish (end = Date.now()) {
+    this.end = end
+  }
+
+  /**
+   * The record stored in the history.
+   *
+   * @return {Object}
+   * @memberof PracticeSession
+   */
+  toJSON () {
+    const record = {
+      start: this.start,
+      end: this.end,
+      durationMinutes: this.durationMinutes,
+      activeSeconds: Math.round(this.activeSeconds),
+      notesDetected: this.notesDetected,
+      lowestNote: this.lowestNote,
+      highestNote: this.highestNote
+    }
+    if (this.id !== undefined) {
+      record.id = this.id
+    }
+    return record
+  }
+}
+
+/**
+ * Daily & weekly totals of the active playing time, and the streaks of the consecutive days with practice.
+ * A day meets the goal when the active playing time reaches the longest duration chosen for its sessions.
+ *
+ * @param {Object[]} sessions Records as in PracticeSession.toJSON().
+ * @param {Object} [options={}]
+ * @param {Date|Number} [options.now=Date.now()] Today.
+ * @param {Number} [options.days=14] How many days to list.
+ * @param {Number} [options.weeks=8] How many weeks to list (starting on Mondays).
+ * @return {Object} daily (array of {date, seconds, goalSeconds, goalMet}, the latest first), weekly (array of {week, seconds}, the latest first),
+ * today & thisWeek (seconds), currentStreak & longestStreak (days), totalSeconds & sessions (count).
+ */
+export function summarizePractice (sessions, { now = Date.now(), days = 14, weeks = 8 } = {}) {
+  const byDate = new Map()
+  let totalSeconds = 0
+  for (const session of sessions) {
+    const key = dateKey(session.start)
+    const day = byDate.get(key) ?? { seconds: 0, goalSeconds: 0 }
+    day.seconds += session.activeSeconds
+    day.goalSeconds = Math.max(day.goalSeconds, 60 * (session.durationMinutes ?? 0))
+    byDate.set(key, day)
+    totalSeconds += session.activeSeconds
+  }
+
+  // noon, so that the DST changes don't skip or repeat the days
+  const today = new Date(now)
+  today.setHours(12, 0, 0, 0)
+  const dayAt = offset => new Date(today.getTime() - offset * DAY)
+
+  const daily = []
+  for (let offset = 0; offset < days; offset++) {
+    const date = dateKey(dayAt(offset))
+    const { seconds, goalSeconds } = byDate.get(date) ?? { seconds: 0, goalSeconds: 0 }
+    daily.push({ date, seconds, goalSeconds, goalMet: goalSeconds > 0 && seconds >= goalSeconds })
+  }
+
+  const weekly = []
+  const mondayOffset = (today.getDay() + 6) % 7
+  for (let week = 0; week < weeks; week++) {
+    let seconds = 0
+    for (let day = 0; day < 7; day++) {
+      seconds += (byDate.get(dateKey(dayAt(mondayOffset + 7 * week - day))) ?? { seconds: 0 }).seconds
+    }
+    weekly.push({ week: dateKey(dayAt(mondayOffset + 7 * week)), seconds })
+  }
+
+  const practiced = date => (byDate.get(date) ?? { seconds: 0 }).seconds > 0
+  // today doesn't break the streak until it is over
+  let currentStreak = 0
+  for (let offset = practiced(dateKey(today)) ? 0 : 1; practiced(dateKey(dayAt(offset))); offset++) {
+    currentStreak++
+  }
+
+  let longestStreak = 0
+  for (const date of byDate.keys()) {
+    const previous = new Date(date + 'T12:00:00')
+    previous.setDate(previous.getDate() - 1)
+    if (!practiced(date) || practiced(dateKey(previous))) {
+      continue
+    }
+    // the first day of a streak
+    let length = 0
+    const day = new Date(date + 'T12:00:00')
+    while (practiced(dateKey(day))) {
+      length++
+      day.setDate(day.getDate() + 1)
+    }
+    longestStreak = Math.max(longestStreak, length)
+  }
+
+  return {
+    daily,
+    weekly,
+    today: daily[0].seconds,
+    thisWeek: weekly[0].seconds,
+    currentStreak,
+    longestStreak,
+    totalSeconds,
+    sessions: sessions.length
+  }
+}
+
+/**
+ * IndexedDB store of the practice sessions.
+ *
+ * @class PracticeHistory
+ * @example
+ * const history = await PracticeHistory.open()
+ * session.id = await history.put(session.toJSON())
+ * const stats = summarizePractice(await history.getAll())
+ * const json = history.export(await history.getAll())
+ */
+export class PracticeHistory {
+  /**
+   * Wraps an open database; see PracticeHistory.open().
+   * @param {IDBDatabase} db Database with the sessions store.
+   * @memberof PracticeHistory
+   */
+  constructor (db) {
+    this.db = db
+  }
+
+  /**
+   * Name of the database.
+   *
+   * @readonly
+   * @static
+   * @memberof PracticeHistory
+   */
+  static get DB_NAME () {
+    return 'pianolizer'
+  }
+
+  /**
+   * Name of the object store; the sessions are keyed by id & indexed by the start time.
+   *
+   * @readonly
+   * @static
+   * @memberof PracticeHistory
+   */
+  static get STORE_NAME () {
+    return 'sessions'
+  }
+
+  /**
+   * Open (or create) the database.
+   *
+   * @param {IDBFactory} [indexedDB=globalThis.indexedDB] Database factory.
+   * @return {Promise<PracticeHistory>}
+   * @memberof PracticeHistory
+   */
+  static open (indexedDB = globalThis.indexedDB) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(PracticeHistory.DB_NAME, 1)
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(PracticeHistory.STORE_NAME, { keyPath: 'id', autoIncrement: true })
+        store.createIndex('start', 'start', { unique: true })
+      }
+      request.onsuccess = () => resolve(new PracticeHistory(request.result))
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Run a request within a transaction of its own.
+   *
+   * @param {string} mode 'readonly' or 'readwrite'.
+   * @param {Function} callback Receives the store, returns the request.
+   * @return {Promise<any>} Result of the request.
+   * @memberof PracticeHistory
+   */
+  request (mode, callback) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(PracticeHistory.STORE_NAME, mode)
+      const request = callback(transaction.objectStore(PracticeHistory.STORE_NAME))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Store a new session, or update the one with the same id.
+   *
+   * @param {Object} session Record as in PracticeSession.toJSON().
+   * @return {Promise<Number>} The id.
+   * @memberof PracticeHistory
+   */
+  put (session) {
+    return this.request('readwrite', store => store.put(session))
+  }
+
+  /**
+   * @return {Promise<Object[]>} All the sessions, the earliest first.
+   * @memberof PracticeHistory
+   */
+  getAll () {
+    return this.request('readonly', store => store.index('start').getAll())
+  }
+
+  /**
+   * Serialize the sessions.
+   *
+   * @param {Object[]} sessions As returned by getAll().
+   * @return {string} JSON.
+   * @memberof PracticeHistory
+   */
+  export (sessions) {
+    return JSON.stringify({
+      version: 1,
+      sessions: sessions.map(({ id, ...session }) => session)
+    }, null, 2)
+  }
+
+  /**
+   * Add the sessions from an export; the ones that are already stored (same start time) are skipped.
+   *
+   * @param {string} json As returned by export().
+   * @return {Promise<Number>} How many sessions were added.
+   * @throws {SyntaxError} On the malformed input.
+   * @memberof PracticeHistory
+   */
+  async import (json) {
+    const data = JSON.parse(json)
+    if (!Array.isArray(data.sessions)) {
+      throw new SyntaxError('practice history must contain the sessions array')
+    }
+    const sessions = data.sessions.map(({ id, ...session }) => session)
+    for (const session of sessions) {
+      if (!Number.isFinite(session.start) || !Number.isFinite(session.end) || !Number.isFinite(session.activeSeconds)) {
+        throw new SyntaxError('every session must have the start, end & activeSeconds numbers')
+      }
+    }
+
+    const known = new Set((await this.getAll()).map(session => session.start))
+    const added = sessions.filter(session => !known.has(session.start))
+    if (added.length > 0) {
+      await this.request('readwrite', store => added.map(session => store.add(session)).pop())
+    }
+    return added.length
+  }
+}
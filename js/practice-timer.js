@@ -0,0 +1,180 @@
+/**
+ * @file practice-timer.js
+ * @description Practice timer: counts the playing time down, pausing on silence, with optional work/break blocks.
+ * @license MIT
+ */
+
+/**
+ * State machine of the practice timer. Waits for the first notes; then runs until nothing is heard
+ * for a while (auto-paused, resumes on the next notes) or until paused manually. With the interval blocks,
+ * every work block is followed by a break (which counts down regardless of the playing); once the whole duration
+ * is played, the timer is finished.
+ *
+ * @class PracticeTimer
+ * @example
+ * // 50 minutes, as two 25/5 pomodoros
+ * const timer = new PracticeTimer({ duration: 50 * 60, block: 25 * 60, pause: 5 * 60 })
+ * timer.onstatechange = (state, previous) => console.log(previous, '->', state)
+ * // whenever confident notes are detected
+ * timer.heard(performance.now() / 1000)
+ * // a few times per second
+ * timer.update(performance.now() / 1000)
+ * console.log(timer.state, timer.remaining)
+ */
+export class PracticeTimer {
+  /**
+   * Creates an instance of PracticeTimer.
+   * @param {Object} [options={}]
+   * @param {Number} [options.duration=3600] Playing time of the session, in seconds.
+   * @param {Number} [options.block=0] Length of the work blocks, in seconds; 0 for no breaks.
+   * @param {Number} [options.pause=300] Length of the breaks between the work blocks, in seconds.
+   * @param {Number} [options.silence=10] Auto-pause after this many seconds without notes.
+   * @memberof PracticeTimer
+   */
+  constructor ({ duration = 3600, block = 0, pause = 300, silence = 10 } = {}) {
+    if (!(duration > 0)) {
+      throw new RangeError('duration must be positive')
+    } else if (block < 0 || pause < 0 || silence <= 0) {
+      throw new RangeError('block & pause must not be negative, silence must be positive')
+    }
+    this.duration = duration
+    this.block = block
+    this.pause = pause
+    this.silence = silence
+    this.onstatechange = null
+    this.reset()
+  }
+
+  /**
+   * Possible states: waiting for the first notes, counting, paused by the silence, paused manually,
+   * having a break between the work blocks and done.
+   *
+   * @readonly
+   * @static
+   * @memberof PracticeTimer
+   */
+  static get STATES () {
+    return ['ready', 'running', 'autopaused', 'paused', 'break', 'finished']
+  }
+
+  /**
+   * Playing time left, in seconds.
+   *
+   * @readonly
+   * @memberof PracticeTimer
+   */
+  get remaining () {
+    return Math.max(0, this.duration - this.elapsed)
+  }
+
+  /**
+   * Time left until the next break (or until the end of the current one), in seconds; null without the blocks.
+   *
+   * @readonly
+   * @memberof PracticeTimer
+   */
+  get blockRemaining () {
+    if (this.state === 'break') {
+      return Math.max(0, this.pause - this.blockElapsed)
+    }
+    return this.block > 0 ? Math.min(this.block - this.blockElapsed, this.remaining) : null
+  }
+
+  /**
+   * Back to the full duration, waiting for the first notes.
+   *
+   * @memberof PracticeTimer
+   */
+  reset () {
+    this.elapsed = 0 // playing time counted so far
+    this.blockElapsed = 0 // time spent in the current work block or break
+    this.lastUpdate = null
+    this.lastHeard = null
+    this.setState('ready')
+  }
+
+  /**
+   * Notes were detected; starts or resumes the counting, unless paused manually, on a break or done.
+   *
+   * @param {Number} now Current time, in seconds.
+   * @memberof PracticeTimer
+   */
+  heard (now) {
+    this.lastHeard = now
+    if (this.state === 'ready' || this.state === 'autopaused') {
+      this.lastUpdate = now
+      this.setState('running')
+    }
+  }
+
+  /**
+   * Pause manually: the notes don't resume the counting until resume().
+   *
+   * @param {Number} now Current time, in seconds.
+   * @memberof PracticeTimer
+   */
+  hold (now) {
+    if (this.state === 'running' || this.state === 'autopaused' || this.state === 'ready') {
+      this.update(now)
+      this.setState('paused')
+    }
+  }
+
+  /**
+   * Undo hold(); the counting restarts right away, and stops again after the silence.
+   *
+   * @param {Number} now Current time, in seconds.
+   * @memberof PracticeTimer
+   */
+  resume (now) {
+    if (this.state === 'paused') {
+      this.lastUpdate = now
+      this.lastHeard = now
+      this.setState('running')
+    }
+  }
+
+  /**
+   * Advance the clock.
+   *
+   * @param {Number} now Current time, in seconds.
+   * @memberof PracticeTimer
+   */
+  update (now) {
+    const delta = this.lastUpdate === null ? 0 : Math.max(0, now - this.lastUpdate)
+    this.lastUpdate = now
+
+    if (this.state === 'running') {
+      // the silence before the auto-pause still counts, as the pauses between the phrases do
+      const step = Math.min(delta, this.duration - this.elapsed)
+      this.elapsed += step
+      this.blockElapsed += step
+      if (this.elapsed >= this.duration) {
+        this.setState('finished')
+      } else if (this.block > 0 && this.blockElapsed >= this.block) {
+        this.blockElapsed = 0
+        this.setState(this.pause > 0 ? 'break' : 'running')
+      } else if (now - this.lastHeard >= this.silence) {
+        this.setState('autopaused')
+      }
+    } else if (this.state === 'break') {
+      this.blockElapsed += delta
+      if (this.blockElapsed >= this.pause) {
+        this.blockElapsed = 0
+        this.setState('ready')
+      }
+    }
+  }
+
+  /**
+   * @param {string} state One of PracticeTimer.STATES.
+   * @memberof PracticeTimer
+   */
+  setState (state) {
+    const previous = this.state
+    this.state = state
+    if (previous !== state && this.onstatechange !== null) {
+      this.onstatechange(state, previous)
+    }
+  }
+}
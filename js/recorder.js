@@ -0,0 +1,122 @@
+/**
+ * @file recorder.js
+ * @description Records the visualization (spectrogram & keyboard) along with the analyzed audio into a video file.
+ * @license MIT
+ */
+
+/**
+ * Composes the spectrogram & the keyboard onto a hidden canvas, and records its stream together with the audio.
+ *
+ * @class VisualizationRecorder
+ * @example
+ * const recorder = new VisualizationRecorder(spectrogramCanvas, pianoKeyboard)
+ * recorder.start(audioContext, audioSource)
+ * // once per animation frame, after the visualization is updated
+ * recorder.drawFrame()
+ * // later
+ * const blob = await recorder.stop()
+ */
+export class VisualizationRecorder {
+  /**
+   * Creates an instance of VisualizationRecorder.
+   * @param {HTMLCanvasElement} spectrogramCanvas Canvas of the Spectrogram.
+   * @param {PianoKeyboard} pianoKeyboard Keyboard, drawn under the spectrogram.
+   * @param {number} [frameRate=30] Video frames per second.
+   * @memberof VisualizationRecorder
+   */
+  constructor (spectrogramCanvas, pianoKeyboard, frameRate = 30) {
+    this.spectrogramCanvas = spectrogramCanvas
+    this.pianoKeyboard = pianoKeyboard
+    this.frameRate = frameRate
+
+    this.canvas = document.createElement('canvas')
+    this.canvas.width = spectrogramCanvas.width
+    this.canvas.height = spectrogramCanvas.height + pianoKeyboard.whiteHeight
+    this.context = this.canvas.getContext('2d')
+
+    this.mediaRecorder = null
+    this.audioDestination = null
+  }
+
+  /**
+   * Pick the best container & codecs supported by the browser.
+   *
+   * @return {string} MIME type; empty when none of the WebM flavors is supported (the browser decides, then).
+   * @memberof VisualizationRecorder
+   */
+  static get mimeType () {
+    return [
+      'video/webm;codecs=vp9,opus',
+      'video/webm;codecs=vp8,opus',
+      'video/webm'
+    ].find(type => window.MediaRecorder.isTypeSupported(type)) || ''
+  }
+
+  /**
+   * Whether a recording is in progress.
+   *
+   * @readonly
+   * @memberof VisualizationRecorder
+   */
+  get recording () {
+    return this.mediaRecorder !== null
+  }
+
+  /**
+   * Start recording.
+   *
+   * @param {AudioContext} audioContext Context of the analyzed audio.
+   * @param {AudioNode} audioSource Node feeding the analyzer.
+   * @memberof VisualizationRecorder
+   */
+  start (audioContext, audioSource) {
+    this.audioSource = audioSource
+    this.audioDestination = audioContext.createMediaStreamDestination()
+    audioSource.connect(this.audioDestination)
+
+    const stream = new MediaStream([
+      ...this.canvas.captureStream(this.frameRate).getVideoTracks(),
+      ...this.audioDestination.stream.getAudioTracks()
+    ])
+    this.chunks = []
+    this.mediaRecorder = new window.MediaRecorder(stream, { mimeType: VisualizationRecorder.mimeType })
+    this.mediaRecorder.ondataavailable = event => {
+      if (event.data.size > 0) {
+        this.chunks.push(event.data)
+      }
+    }
+    this.drawFrame()
+    this.mediaRecorder.start(1000)
+  }
+
+  /**
+   * Copy the current state of the visualization to the recorded canvas.
+   *
+   * @memberof VisualizationRecorder
+   */
+  drawFrame () {
+    this.context.fillStyle = '#000'
+    this.context.fillRect(0, 0, this.canvas.width, this.canvas.height)
+    this.context.drawImage(this.spectrogramCanvas, 0, 0)
+    this.pianoKeyboard.drawToCanvas(this.context, this.spectrogramCanvas.height)
+  }
+
+  /**
+   * Stop recording.
+   *
+   * @return {Promise<Blob>} The video file.
+   * @memberof VisualizationRecorder
+   */
+  stop () {
+    const mediaRecorder = this.mediaRecorder
+    this.mediaRecorder = null
+    return new Promise(resolve => {
+      mediaRecorder.onstop = () => {
+        this.audioSource.disconnect(this.audioDestination)
+        mediaRecorder.stream.getTracks().forEach(track => track.stop())
+        resolve(new Blob(this.chunks, { type: mediaRecorder.mimeType || 'video/webm' }))
+      }
+      mediaRecorder.stop()
+    })
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * @file rhythm.js
+ * @description Rhythmic analysis of the levels reported by Pianolizer (onsets, tempo & beats).
+ * @license MIT
+ */
+
+import { RingBuffer } from './pianolizer.js'
+
+/**
+ * Onset strength envelope, as the sum of the level increases across all the keys (AKA spectral flux).
+ *
+ * @class OnsetDetector
+ * @example
+ * const onsetDetector = new OnsetDetector(61)
+ * // for every frame of levels; spikes when the notes are struck
+ * const onset = onsetDetector.process(levels)
+ */
+export class OnsetDetector {
+  /**
+   * Creates an instance of OnsetDetector.
+   * @param {Number} [keysNum=61] Number of keys in the levels array.
+   * @memberof OnsetDetector
+   */
+  constructor (keysNum = 61) {
+    this.previousLevels = new Float32Array(keysNum)
+  }
+
+  /**
+   * Compare the levels with the ones from the previous frame.
+   *
+   * @param {Float32Array} levels Per-key levels, between 0.0 and 1.0.
+   * @return {Number} Onset strength; the decays are ignored.
+   * @memberof OnsetDetector
+   */
+  process (levels) {
+    const keysNum = this.previousLevels.length
+    let flux = 0
+    for (let key = 0; key < keysNum; key++) {
+      const increase = levels[key] - this.previousLevels[key]
+      if (increase > 0) {
+        flux += increase
+      }
+      this.previousLevels[key] = levels[key]
+    }
+    return flux
+  }
+}
+
+/**
+ * Estimates the tempo by the autocorrelation of the onset strength envelope,
+ * then locks onto the beat phase with a comb filter that is tuned to the estimated tempo.
+ *
+ * @class TempoTracker
+ * @see {@link https://www.ee.columbia.edu/~dpwe/pubs/Ellis07-beattrack.pdf}
+ * @example
+ * // the levels are reported once every 128 samples
+ * const tempoTracker = new TempoTracker(44100 / 128)
+ * // for every frame of levels
+ * if (tempoTracker.process(onsetDetector.process(levels))) {
+ *   console.log(`beat! ${tempoTracker.bpm} BPM`)
+ * }
+ */
+export class TempoTracker {
+  /**
+   * Creates an instance of TempoTracker.
+   * @param {Number} frameRate How many onset strength values per second are fed.
+   * @param {Object} [options] Tracking parameters.
+   * @param {Number} [options.minBPM=60] Slowest tempo.
+   * @param {Number} [options.maxBPM=200] Fastest tempo.
+   * @param {Number} [options.windowInSeconds=8] How much of the onset strength envelope is analyzed.
+   * @param {Number} [options.envelopeRate=100] The envelope is downsampled to approximately this rate (Hz).
+   * @memberof TempoTracker
+   */
+  constructor (frameRate, { minBPM = 60, maxBPM = 200, windowInSeconds = 8, envelopeRate = 100 } = {}) {
+    this.decimation = Math.max(1, Math.round(frameRate / envelopeRate))
+    this.envelopeRate = frameRate / this.decimation
+    this.windowSize = Math.ceil(windowInSeconds * this.envelopeRate)
+    this.envelope = new RingBuffer(this.windowSize)
+    this.detrended = new Float32Array(this.windowSize)
+    // lags are in envelope frames; the extra ones on both ends are for the peak interpolation
+    this.minLag = Math.floor(60 * this.envelopeRate / maxBPM)
+    this.maxLag = Math.ceil(60 * this.envelopeRate / minBPM)
+    this.scores = new Float32Array(this.maxLag + 2)
+    this.updateInterval = Math.round(this.envelopeRate / 4)
+    this.reset()
+  }
+
+  /**
+   * Forget everything heard so far (for instance, when the audio source changes).
+   *
+   * @memberof TempoTracker
+   */
+  reset () {
+    this.envelope.buffer.fill(0)
+    this.accumulator = 0
+    this.accumulated = 0
+    this.time = 0
+    this.period = null
+    this.nextBeat = Infinity
+    this.lastBeat = -Infinity
+  }
+
+  /**
+   * Estimated tempo.
+   *
+   * @readonly
+   * @memberof TempoTracker
+   * @return {Number|null} Beats per minute; null when no steady pulse is found.
+   */
+  get bpm () {
+    return this.period === null ? null : 60 * this.envelopeRate / this.period
+  }
+
+  /**
+   * Feed the next onset strength value.
+   *
+   * @param {Number} onset As returned by OnsetDetector.process().
+   * @return {Boolean} true when a beat falls on this frame.
+   * @memberof TempoTracker
+   */
+  process (onset) {
+    this.accumulator += onset
+    if (++this.accumulated < this.decimation) {
+      return false
+    }
+
+    this.envelope.write(this.accumulator)
+    this.accumulator = 0
+    this.accumulated = 0
+    this.time++
+
+    if (this.time % this.updateInterval === 0 && this.time >= this.windowSize / 2) {
+      this.update()
+    }
+
+    if (this.time < this.nextBeat) {
+      return false
+    }
+    this.lastBeat = this.time
+    while (this.nextBeat <= this.time) {
+      this.nextBeat += this.period
+    }
+    return true
+  }
+
+  /**
+   * Re-estimate the tempo & the beat phase from the envelope.
+   *
+   * @memberof TempoTracker
+   */
+  update () {
+    const length = Math.min(this.time, this.windowSize)
+    const x = this.detrended
+
+    // oldest first
+    let mean = 0
+    for (let i = 0; i < length; i++) {
+      x[i] = this.envelope.read(length - 1 - i)
+      mean += x[i]
+    }
+    mean /= length
+    let energy = 0
+    for (let i = 0; i < length; i++) {
+      x[i] -= mean
+      energy += x[i] * x[i]
+    }
+
+    if (energy < 1e-9) {
+      this.period = null
+      this.nextBeat = Infinity
+      return
+    }
+
+    // autocorrelation, weighted by the log-Gaussian prior centered at 120 BPM (with 1 octave deviation),
+    // which attenuates the tempo doubling & halving errors
+    let bestLag = 0
+    for (let lag = this.minLag - 1; lag <= this.maxLag + 1; lag++) {
+      let sum = 0
+      for (let i = lag; i < length; i++) {
+        sum += x[i] * x[i - lag]
+      }
+      const octaves = Math.log2(60 * this.envelopeRate / lag / 120)
+      this.scores[lag] = sum / (length - lag) * Math.exp(-0.5 * octaves * octaves)
+      if (lag >= this.minLag && lag <= this.maxLag && this.scores[lag] > 0 &&
+        (bestLag === 0 || this.scores[lag] > this.scores[bestLag])) {
+        bestLag = lag
+      }
+    }
+    if (bestLag === 0) {
+      this.period = null
+      this.nextBeat = Infinity
+      return
+    }
+
+    // parabolic interpolation of the peak
+    const previous = this.scores[bestLag - 1]
+    const current = this.scores[bestLag]
+    const next = this.scores[bestLag + 1]
+    const curvature = previous - 2 * current + next
+    const shift = curvature < 0 ? 0.5 * (previous - next) / curvature : 0
+    this.period = bestLag + Math.max(-0.5, Math.min(0.5, shift))
+
+    // comb filter: how long ago the pulse train fits the envelope the best
+    let bestPhase = 0
+    let bestScore = -Infinity
+    for (let phase = 0; phase < this.period; phase++) {
+      let score = 0
+      let count = 0
+      for (let i = length - 1 - phase; i >= 0; i = Math.round(length - 1 - phase - ++count * this.period)) {
+        score += x[i]
+      }
+      score /= count
+      if (score > bestScore) {
+        bestScore = score
+        bestPhase = phase
+      }
+    }
+
+    this.nextBeat = this.time - bestPhase
+    while (this.nextBeat <= this.time || this.nextBeat - this.lastBeat < this.period / 2) {
+      this.nextBeat += this.period
+    }
+  }
+}
@@ -1,4 +1,30 @@
-import { RingBuffer, DFTBin, FastMovingAverage, HeavyMovingAverage } from './pianolizer.js'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import {
+  RingBuffer,
+  DFTBin,
+  FastMovingAverage,
+  HeavyMovingAverage,
+  HarmonicSuppressor,
+  NoteTracker,
+  SlidingDFT,
+  PianoTuning,
+  WerckmeisterTuning,
+  JustIntonationTuning,
+  ScalaTuning
+} from './pianolizer.js'
+import { MIDIFileReader, MIDIFileWriter } from './midi-file.js'
+import { MIDIFilePlayer } from './midi-player.js'
+import { extractNotes, PlayAlongScorer } from './play-along.js'
+import { MIDIInputHandler } from './midi-input.js'
+import { MIDINoteSender } from './midi-output.js'
+import { ChordRecognizer, KeyDetector } from './harmony.js'
+import { OnsetDetector, TempoTracker } from './rhythm.js'
+import { LevelsRing } from './levels-ring.js'
+import { formatDecimal, LevelsRecording } from './levels-file.js'
+import { PracticeSession, summarizePractice } from './practice-history.js'
+import { PracticeTimer } from './practice-timer.js'
+import { Tuner } from './tuner.js'
 
 const sampleRate = 44100
 const waveform = {
@@ -54,6 +80,32 @@ function testDFT (type, expected) {
   }
 }
 
+/**
+ * Pipe a half-scale 441Hz sine wave through the CLI utility; the expected lines come from the native binary (cpp/main.cpp).
+ */
+function testCLI () {
+  const input = new Float32Array(1024)
+  for (let i = 0; i < input.length; i++) {
+    input[i] = 0.5 * Math.sin(2 * Math.PI * 441 * i / 8000)
+  }
+  const cli = spawnSync(process.execPath, [fileURLToPath(new URL('pianolizer-cli.js', import.meta.url)), '-s', '8000', '-b', '256'], {
+    input: Buffer.from(input.buffer),
+    encoding: 'utf8'
+  })
+
+  const silence = '00'.repeat(25)
+  if (cli.stdout === [
+    silence + '010101010203061542170603020101010000000000000000000000000000000000000000',
+    silence + '000001010102030aa80c0403020100010000000000000000000000000000000000000000',
+    silence + '0000000101020204d7070303020100010000000000000000000000000000000000000000',
+    silence + '0000000001020102ed050203020100010000000000000000000000000000000000000000'
+  ].join('\n') + '\n') {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
 /**
  * Compare fast and heavy moving-average implementations with example data.
  */
@@ -74,8 +126,638 @@ function testMovingAverage () {
   console.log(hma.read(1))
 }
 
+/**
+ * Suppress the overtones of the 441Hz sawtooth (levels as checked by benchmark.js).
+ */
+function testHarmonicSuppressor () {
+  const levels = new Float32Array(61)
+  levels[21] = 0.0000176868034031
+  levels[33] = 0.6048160195350647
+  levels[45] = 0.1517304629087448
+  levels[52] = 0.0671678557991981
+  levels[57] = 0.0384459346532821
+  new HarmonicSuppressor(61).process(levels)
+
+  if (levels[45] < 0.001 && levels[52] < 0.001 && levels[57] < 0.001 && levels[33] > 0.86) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Feed synthetic level frames to the note tracker and check the emitted events.
+ */
+function testNoteTracker () {
+  const tracker = new NoteTracker(2, { attack: 0.5, release: 0.25, minLength: 0.25 })
+  const frames = [
+    // key 0 is a proper note (with a dip above the release threshold); key 1 is too short
+    [0.0, 0.0], [0.64, 0.81], [0.36, 0.0], [0.64, 0.0], [0.1, 0.0], [0.0, 0.81]
+  ]
+  const events = []
+  frames.forEach((levels, i) => events.push(...tracker.process(levels, i * 0.125)))
+  events.push(...tracker.finalize(frames.length * 0.125))
+
+  const actual = events
+    .map(event => [event.type, event.key, event.time.toFixed(3), event.velocity.toFixed(3)].join(' '))
+    .join(', ')
+  // exactly at the thresholds: no attack, then the release (as in misc/transcribe2midi.pl)
+  const strict = new NoteTracker(1, { attack: 0.25, release: 0.25, minLength: 0 })
+  const strictEvents = [[0.25], [0.5], [0.25]].flatMap((levels, i) => strict.process(levels, i))
+    .map(event => `${event.type} ${event.time}`)
+    .join(', ')
+
+  if (actual === 'noteon 0 0.125 0.733, noteoff 0 0.500 0.000' && strictEvents === 'noteon 1, noteoff 2') {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Measure a half-scale 441Hz sine wave in all the output scales.
+ */
+function testOutputModes () {
+  const expected = {
+    normalized: 1.0,
+    sqrt: 1.0,
+    amplitude: 0.5 / Math.SQRT2,
+    decibels: -6.0206
+  }
+  const actual = {}
+  for (const outputMode of SlidingDFT.OUTPUT_MODES) {
+    const slidingDFT = new SlidingDFT(new PianoTuning(44100), 0, outputMode)
+    const input = new Float32Array(44100)
+    for (let i = 0; i < input.length; i++) {
+      input[i] = 0.5 * Math.sin(2 * Math.PI * 441 * i / 44100)
+    }
+    actual[outputMode] = slidingDFT.process(input)[33]
+  }
+
+  if (Object.keys(expected).every(outputMode => Math.abs(actual[outputMode] - expected[outputMode]) < 0.05)) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Estimate how sharp a 445Hz sine wave is, both with a single DFTBin and with the whole SlidingDFT.
+ */
+function testPitchTracking () {
+  const sampleRate = 44100
+  const bufferSize = 128
+  const tone = i => 0.5 * Math.sin(2 * Math.PI * 445 * i / sampleRate)
+
+  // A4 bin; center: 439.96Hz
+  const N = 1704
+  const bin = new DFTBin(17, N)
+  const rb = new RingBuffer(N)
+  let previousPhase
+  for (let i = 0; i < N + bufferSize; i++) {
+    if (i === N) {
+      previousPhase = bin.phase
+    }
+    rb.write(tone(i))
+    bin.update(rb.read(N), tone(i))
+  }
+  const binFrequency = bin.instantaneousFrequency(previousPhase, bufferSize) * sampleRate
+
+  const slidingDFT = new SlidingDFT(new PianoTuning(sampleRate), -1, 'normalized', -96, true)
+  const input = new Float32Array(bufferSize)
+  for (let i = 0; i < bufferSize * 400; i++) {
+    input[i % bufferSize] = tone(i)
+    if (i % bufferSize === bufferSize - 1) {
+      slidingDFT.process(input, 0.05)
+    }
+  }
+
+  // 445Hz is 19.56 cents sharp from 440Hz
+  if (Math.abs(binFrequency - 445) < 2 && Math.abs(slidingDFT.cents[33] - 19.56) < 0.5) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Compare the temperaments against the equal temperament & the equivalent Scala scale.
+ */
+function testTemperaments () {
+  const equal = new PianoTuning(44100)
+  const werckmeister = new WerckmeisterTuning(44100)
+  const just = new JustIntonationTuning(44100)
+  const scala = new ScalaTuning(44100, 61, 33, 440.0, 1.0, [
+    '! just.scl',
+    '!',
+    '5-limit just intonation',
+    ' 12',
+    '!',
+    '16/15', '9/8', '6/5', '5/4', '4/3', '45/32', '3/2', '8/5', '5/3', '9/5', '15/8', '2/1'
+  ].join('\n'))
+
+  if (werckmeister.keyToFreq(33) === 440 &&
+    werckmeister.keyToFreq(24).toFixed(2) === '263.40' &&
+    equal.keyToFreq(24).toFixed(2) === '261.63' &&
+    just.keyToFreq(24).toFixed(3) === '264.000' &&
+    [0, 10, 24, 40, 60].every(key => scala.keyToFreq(key).toFixed(3) === just.keyToFreq(key).toFixed(3))
+  ) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Recognize a few chords (and inversions) from synthetic levels.
+ */
+function testChordRecognizer () {
+  const chordRecognizer = new ChordRecognizer(61, 33)
+  const chords = {
+    // C4 E4 G4
+    C: [24, 28, 31],
+    // E3 C4 G4
+    'C/E': [16, 24, 31],
+    // A3 C4 E4 G4
+    Am7: [21, 24, 28, 31],
+    // G2 A3 C4 E4
+    'Am7/G': [7, 21, 24, 28],
+    // A4 A#4: too few pitch classes
+    null: [33, 34]
+  }
+  const actual = Object.values(chords).map(keys => {
+    const levels = new Float32Array(61)
+    keys.forEach(key => { levels[key] = 1 })
+    const chord = chordRecognizer.recognize(levels)
+    return chord === null ? 'null' : chord.name
+  })
+
+  if (actual.join(' ') === Object.keys(chords).join(' ')) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Detect the key of the F minor scale, also when the keyboard has a different range.
+ */
+function testKeyDetector () {
+  // F G Ab Bb C Db Eb, as pitch classes
+  const scale = [5, 7, 8, 10, 0, 1, 3]
+  const actual = [[61, 33], [88, 48]].map(([keysNum, referenceKey]) => {
+    const keyDetector = new KeyDetector(keysNum, referenceKey)
+    for (let i = 0; i < 70; i++) {
+      const levels = new Float32Array(keysNum)
+      // the F below A4 keeps sounding
+      levels[referenceKey - 4] = 0.5
+      levels[referenceKey + (scale[i % scale.length] + 3) % 12] = 1
+      keyDetector.update(levels, 0.1)
+    }
+    return keyDetector.estimate().name
+  })
+
+  if (actual.every(name => name === 'F minor')) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Track a 150 BPM pulse of decaying notes; the beats must land on the note onsets.
+ */
+function testTempoTracker () {
+  const frameRate = 44100 / 128
+  const onsetDetector = new OnsetDetector(61)
+  const tempoTracker = new TempoTracker(frameRate)
+  const beatPhases = []
+  for (let frame = 0; frame < 20 * frameRate; frame++) {
+    const beats = frame / frameRate * 150 / 60
+    const levels = new Float32Array(61)
+    levels[33] = Math.exp(-4 * (beats % 1))
+    if (tempoTracker.process(onsetDetector.process(levels))) {
+      beatPhases.push(beats % 1)
+    }
+  }
+
+  const phaseError = Math.max(...beatPhases.slice(-8).map(phase => Math.min(phase, 1 - phase)))
+  if (Math.abs(tempoTracker.bpm - 150) < 1 && phaseError < 0.05) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Pass the frames through the shared memory; the reader that falls behind skips the oldest ones.
+ */
+function testLevelsRing () {
+  const writer = LevelsRing.create(3, 2, 8)
+  const reader = new LevelsRing(writer.buffer)
+  const received = []
+  const receive = (channelLevels, currentFrame) => received.push(`${currentFrame}:${channelLevels.map(levels => levels.join(',')).join('|')}`)
+
+  writer.write([new Float32Array([1, 2, 3])], 0)
+  writer.write([new Float32Array([4, 5, 6]), new Float32Array([7, 8, 9])], 128)
+  reader.read(receive)
+  for (let i = 2; i < 20; i++) {
+    writer.write([new Float32Array([i, i, i])], i * 128)
+  }
+  reader.read(receive)
+
+  // a slow consumer: the writer laps the unread frames while the first one is being handled
+  const lapped = []
+  const slowWriter = LevelsRing.create(1, 1, 8)
+  const slowReader = new LevelsRing(slowWriter.buffer)
+  for (let i = 0; i < 3; i++) {
+    slowWriter.write([new Float32Array([i])], i)
+  }
+  slowReader.read((channelLevels, currentFrame) => {
+    lapped.push(`${currentFrame}:${channelLevels[0][0]}`)
+    if (currentFrame === 0) {
+      for (let i = 3; i < 13; i++) {
+        slowWriter.write([new Float32Array([i])], i)
+      }
+    }
+  })
+  slowReader.read((channelLevels, currentFrame) => lapped.push(`${currentFrame}:${channelLevels[0][0]}`))
+
+  if (received.join(' ') === '0:1,2,3 128:4,5,6|7,8,9 1664:13,13,13 1792:14,14,14 1920:15,15,15 2048:16,16,16 2176:17,17,17 2304:18,18,18 2432:19,19,19' &&
+    lapped.join(' ') === '0:0 6:6 7:7 8:8 9:9 10:10 11:11 12:12') {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Round-trip a short recording through all the levels file formats, and replay it on a wider keyboard.
+ */
+function testLevelsRecording () {
+  const recording = new LevelsRecording(60, 3)
+  recording.add(0, new Float32Array([0, 0.5, 1]))
+  recording.add(0.0029, new Float32Array([0.000012345678, 0.25, 0.125]))
+
+  const csv = recording.serialize('csv')
+  const copies = LevelsRecording.FORMATS.map(format => LevelsRecording.parse(recording.serialize(format), 60))
+  const replayed = new Float32Array(5)
+  copies[1].levelsAt(0.01, replayed, 59)
+
+  // the output scale survives the round trip; the growing storage keeps the older frames & the cap drops the newer ones
+  const decibels = new LevelsRecording(60, 1, { outputMode: 'decibels', decibelFloor: -80, maxFrames: 2000 })
+  for (let i = 0; i < 2001; i++) {
+    decibels.add(i / 100, new Float32Array([-i / 100]))
+  }
+  const scales = ['csv', 'json'].map(format => LevelsRecording.parse(decibels.serialize(format)))
+    .map(copy => `${copy.outputMode} ${copy.decibelFloor} ${copy.length} ${copy.frame(1500)[0]}`)
+
+  if (formatDecimal(1234567) === '1.23457e+06' && formatDecimal(0.5) === '0.5' &&
+    csv === 'time,60,61,62\n0,0,0.5,1\n0.0029,1.23457e-05,0.25,0.125\n' &&
+    copies.every(copy => copy.serialize('csv') === csv) &&
+    replayed.join(',') === [0, Math.fround(1.23457e-05), 0.25, 0.125, 0].join(',') &&
+    decibels.full && decibels.serialize('csv').startsWith('time (decibels -80),60\n0,0\n0.01,-0.01\n') &&
+    Array.from(decibels.chunks('json', 7)).join('') === decibels.serialize('json') &&
+    scales.every(scale => scale === `decibels -80 2000 ${Math.fround(-15)}`)) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Serialize a couple of notes and compare against a known Standard MIDI File.
+ */
+function testMIDIFileWriter () {
+  const writer = new MIDIFileWriter(960, 500000)
+  writer.addTrack([
+    { type: 'noteon', time: 0.0, note: 60, velocity: 100 },
+    { type: 'noteoff', time: 0.5, note: 60, velocity: 64 },
+    { type: 'noteon', time: 0.5, note: 62, velocity: 90 },
+    { type: 'noteoff', time: 1.0, note: 62, velocity: 64 }
+  ])
+  const hex = Array.from(writer.build(0), byte => byte.toString(16).padStart(2, '0')).join('')
+  if (hex === '4d546864000000060000000103c0' +
+    '4d54726b0000001d00ff510307a12000903c648740803c4000903e5a8740803e4000ff2f00') {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Parse a type 1 file with a tempo change in the first track, running status & SysEx in the second one.
+ */
+function testMIDIFileReader () {
+  const bytes = new Uint8Array([
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, 2, 0, 96, // MThd: type 1, 2 tracks, 96 ticks per quarter note
+    0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 11,
+    96, 0xff, 0x51, 3, 0x03, 0xd0, 0x90, // 250000 microseconds per quarter note after the first beat
+    0, 0xff, 0x2f, 0,
+    0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 25,
+    0, 0x91, 60, 100,
+    48, 0xf0, 2, 0x7e, 0xf7, // SysEx cancels the running status
+    48, 0x91, 60, 0, // note-off as note-on with velocity 0
+    0, 62, 90, // running status
+    0x81, 0x40, 0x81, 62, 64, // 192 ticks, as a variable-length quantity
+    0, 0xff, 0x2f, 0
+  ])
+  const reader = new MIDIFileReader(bytes)
+  const events = reader.events.map(event => `${event.time}:${event.data.join(',')}`).join(' ')
+
+  const writer = new MIDIFileWriter(960, 500000)
+  writer.addTrack([
+    { type: 'noteon', time: 0.0, note: 60, velocity: 100 },
+    { type: 'noteoff', time: 0.5, note: 60, velocity: 64 }
+  ], 3)
+  const roundTrip = new MIDIFileReader(writer.build(0)).events.map(event => `${event.time}:${event.data.join(',')}`).join(' ')
+
+  if (events === '0:145,60,100 0.5:145,60,0 0.5:145,62,90 1:129,62,64' && reader.duration === 1 &&
+    roundTrip === '0:147,60,100 0.5:131,60,64') {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Play, pause, resume & seek with a fake clock; the notes sounding at the resume position are struck again.
+ */
+function testMIDIFilePlayer () {
+  let now = 0
+  const player = new MIDIFilePlayer({
+    duration: 2,
+    events: [
+      { time: 0, data: [0x90, 60, 100] },
+      { time: 1, data: [0x90, 64, 100] },
+      { time: 1.5, data: [0x80, 60, 64] },
+      { time: 2, data: [0x80, 64, 64] }
+    ]
+  }, () => now)
+  const received = []
+  player.onmessage = data => {
+    if ((data[0] & 0xf0) !== 0xb0) {
+      received.push(data.join(','))
+    }
+  }
+  let ended = false
+  player.onended = () => { ended = true }
+
+  player.play()
+  now = 1.2
+  player.update()
+  player.pause()
+  now = 5
+  player.play()
+  player.seek(1.6)
+  now = 7
+  player.update()
+
+  if (received.join(' ') === '144,60,100 144,64,100 144,60,100 144,64,100 144,64,100 128,64,64' &&
+    ended && player.paused && player.currentTime === 2) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Play along with a C major arpeggio & a chord: on time, late, a wrong pitch, a chord & a missed note.
+ */
+function testPlayAlongScorer () {
+  const reference = extractNotes([
+    [0, 60], [0.4, 60, 0], [1, 64], [1.4, 64, 0], [2, 67], [2.4, 67, 0],
+    [3, 60], [3, 64], [3.8, 60, 0], [3.8, 64, 0], [5, 72], [5.4, 72, 0]
+  ].map(([time, note, velocity = 100]) => ({ time, data: [0x90, note, velocity] })))
+  // the performance: what is sounding & when
+  const played = [[60, 0.05, 0.4], [64, 1.3, 1.6], [66, 2, 2.4], [60, 3, 3.8], [64, 3.02, 3.8]]
+
+  const scorer = new PlayAlongScorer(reference, 24, 60)
+  const marks = []
+  const levels = new Float32Array(24)
+  for (let time = 0; time < 6; time += 0.01) {
+    levels.fill(0)
+    for (const [note, start, end] of played) {
+      if (time >= start && time < end) {
+        levels[note - 60] = 0.5
+      }
+    }
+    marks.push(...scorer.process(levels, time))
+  }
+  marks.push(...scorer.finalize())
+  const summary = scorer.summary
+
+  if (marks.map(mark => `${mark.note}:${mark.result}`).join(' ') === '60:hit 64:late 67:wrong 60:hit 64:hit 72:missed' &&
+    Math.abs(marks[1].offset - 0.3) < 0.011 && summary.accuracy === 0.5 && summary.total === 6) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Strike, sustain & release a note through the hysteresis band; the messages are transposed & sent on channel 2.
+ */
+function testMIDINoteSender () {
+  const messages = []
+  const sender = new MIDINoteSender({ send: message => messages.push(message.join(' ')) }, 3, 60, {
+    channel: 1,
+    offset: 12,
+    threshold: 0.25,
+    hysteresis: 0.5,
+    minLength: 0.005
+  })
+  // the level has to exceed the threshold, not just reach it
+  const frames = [[0, 0.25, 0], [0, 0.36, 0], [0, 1, 0], [0, 0.2, 0.9], [0, 0.1, 0.9]]
+  frames.forEach((frame, i) => sender.process(new Float32Array(frame), i * 0.01))
+  sender.release()
+
+  if (messages.join(', ') === '145 73 102, 129 73 64, 145 74 120, 129 74 64') {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Play a few notes on channel 3 of a keyboard that sends everything an octave lower:
+ * velocity-0 note-off, sustain pedal, another channel & notes out of the range.
+ */
+function testMIDIInputHandler () {
+  const handler = new MIDIInputHandler(3, 60, { channel: 2, offset: 12 })
+  const snapshots = []
+  const messages = [
+    [0x92, 48, 127], // C4
+    [0x92, 49, 0x40], // C#4
+    [0x92, 48, 0], // C4 off
+    [0x93, 50, 100], // D4, but on channel 4
+    [0x92, 47, 100], // B3, out of the range
+    [0xb2, 64, 127], // pedal down
+    [0x82, 49, 64], // C#4 off, but sustained
+    [0x92, 50, 0x7f], // D4
+    [0xb2, 64, 0], // pedal up
+    [0xb2, 123, 0] // all notes off
+  ]
+  for (const message of messages) {
+    handler.process(new Uint8Array(message))
+    snapshots.push(Array.from(handler.levels, level => Math.round(level * 127)).join(','))
+  }
+
+  if (snapshots.join(' ') === '127,0,0 127,64,0 0,64,0 0,64,0 0,64,0 0,64,0 0,64,0 0,64,127 0,0,127 0,0,0') {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Test the practice session measurements and the daily/weekly statistics:
+ * active time with a short pause bridged & a long one not, note count & range,
+ * totals, goals and streaks over a fixed calendar.
+ */
+function testPracticeHistory () {
+  const session = new PracticeSession(3, 60, 1, { threshold: 0.5, gap: 2 })
+  const levels = new Float32Array(3)
+  for (let frame = 0; frame <= 200; frame++) {
+    const time = frame / 10
+    levels.fill(0)
+    if (time < 3) {
+      levels[0] = 1 // C4
+    } else if (time >= 4 && time < 6) {
+      levels[2] = 1 // D4, after the short pause
+    } else if (time >= 15) {
+      levels[1] = 1 // C#4, after the long pause
+    }
+    session.process(levels, time)
+  }
+  const record = session.toJSON()
+
+  const day = 24 * 60 * 60
+  const now = new Date(2024, 0, 10, 20, 0) // Wednesday
+  const at = (daysAgo, activeSeconds) => ({
+    start: now.getTime() - daysAgo * day * 1000 - 3600 * 1000,
+    end: now.getTime() - daysAgo * day * 1000,
+    durationMinutes: 30,
+    activeSeconds,
+    notesDetected: 1,
+    lowestNote: 60,
+    highestNote: 60
+  })
+  const stats = summarizePractice([
+    at(9, 60), at(8, 60), at(7, 60), // the longest streak
+    at(2, 1800), at(1, 600), at(1, 600) // the current one, today still pending
+  ], { now, days: 3, weeks: 2 })
+
+  if (record.activeSeconds === 13 && record.notesDetected === 3 &&
+    record.lowestNote === 60 && record.highestNote === 62 &&
+    stats.today === 0 && stats.thisWeek === 3000 &&
+    stats.weekly.map(week => `${week.week}=${week.seconds}`).join(' ') === '2024-01-08=3000 2024-01-01=180' &&
+    stats.daily.map(day => `${day.date}=${day.seconds}${day.goalMet ? '+' : ''}`).join(' ') === '2024-01-10=0 2024-01-09=1200 2024-01-08=1800+' &&
+    stats.currentStreak === 2 && stats.longestStreak === 3 && stats.totalSeconds === 3180 && stats.sessions === 6) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Test the practice timer state machine over a scripted session:
+ * auto-pause on silence, resume on notes, a work block with its break, manual pause & the end.
+ */
+function testPracticeTimer () {
+  const timer = new PracticeTimer({ duration: 100, block: 40, pause: 10, silence: 5 })
+  const transitions = []
+  timer.onstatechange = (state, previous) => transitions.push(`${timer.lastUpdate}:${state}`)
+  // silent from 20 to 30 seconds
+  const playing = time => time < 20 || time >= 30
+  for (let time = 0; time <= 140; time++) {
+    if (time === 58) {
+      timer.hold(time)
+    } else if (time === 60) {
+      timer.resume(time)
+    }
+    if (playing(time)) {
+      timer.heard(time)
+    }
+    timer.update(time)
+  }
+
+  if (transitions.join(' ') === '0:running 24:autopaused 30:running 46:break 56:ready 57:running 58:paused 60:running 99:break 109:ready 110:running 130:finished' &&
+    timer.remaining === 0 && timer.elapsed === 100) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
+/**
+ * Test the tuner on the steady tones: 445Hz in the equal temperament, with the interpolated levels & with the pitch tracking,
+ * the nominal E4 of Werckmeister III tuned to A4 = 415Hz, which has to be right on, and 430Hz from the analyzer
+ * that only outputs the normalized power, without the pitch tracking (as the app gets it from the older WASM build).
+ */
+function testTuner () {
+  const sampleRate = 44100
+  const bufferSize = 128
+  const measure = (tuning, frequency, outputMode = 'sqrt') => {
+    const slidingDFT = new SlidingDFT(tuning, -1, outputMode, -96, outputMode === 'sqrt')
+    const input = new Float32Array(bufferSize)
+    let amplitudes
+    for (let i = 0; i < bufferSize * 400; i++) {
+      input[i % bufferSize] = 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate)
+      if (i % bufferSize === bufferSize - 1) {
+        amplitudes = slidingDFT.process(input, 0.05)
+      }
+    }
+    if (outputMode === 'normalized') {
+      amplitudes = amplitudes.map(Math.sqrt)
+    }
+    const tuner = new Tuner(tuning.mapping.map(band => band.frequency), 36)
+    return [tuner.estimate(amplitudes), tuner.estimate(amplitudes, slidingDFT.cents)]
+  }
+
+  const [interpolated, tracked] = measure(new PianoTuning(sampleRate), 445)
+  const werckmeister = new WerckmeisterTuning(sampleRate, 61, 33, 415.0)
+  // E4 is 28 keys above C2
+  const [, tempered] = measure(werckmeister, werckmeister.keyToFreq(28))
+  const [normalized] = measure(new PianoTuning(sampleRate), 430, 'normalized')
+  const silent = new Tuner([440, 466.16], 69).estimate(new Float32Array(2))
+
+  // 445Hz is 19.56 cents sharp from A4
+  if (interpolated.note === 69 && Math.abs(interpolated.cents - 19.56) < 5 &&
+    tracked.note === 69 && Math.abs(tracked.cents - 19.56) < 0.5 && Math.abs(tracked.frequency - 445) < 0.1 &&
+    tempered.note === 64 && Math.abs(tempered.cents) < 0.5 &&
+    // 430Hz is 39.80 cents flat from A4
+    normalized.note === 69 && Math.abs(normalized.cents + 39.80) < 5 &&
+    silent === null) {
+    console.log('ok')
+  } else {
+    console.log('not ok')
+  }
+}
+
 testDFT(waveform.SINE, 999999)
 testDFT(waveform.SAWTOOTH, 608005)
 testDFT(waveform.SQUARE, 810836)
 
 testMovingAverage()
+testCLI()
+
+testHarmonicSuppressor()
+testOutputModes()
+testPitchTracking()
+testTuner()
+testNoteTracker()
+testTemperaments()
+testChordRecognizer()
+testKeyDetector()
+testTempoTracker()
+testLevelsRing()
+testLevelsRecording()
+testMIDIFileWriter()
+testMIDIFileReader()
+testMIDIFilePlayer()
+testPlayAlongScorer()
+testMIDINoteSender()
+testMIDIInputHandler()
+testPracticeHistory()
+testPracticeTimer()
@@ -0,0 +1,104 @@
+/**
+ * @file tuner.js
+ * @description Chromatic tuner: the pitch of the dominant tone, relative to the nearest key of the tuning in use.
+ * @license MIT
+ */
+
+/**
+ * Finds the loudest key and estimates the frequency of its tone.
+ * Without the pitch tracking, the frequency is interpolated between the loudest bin and its louder neighbor,
+ * from the ratio of their amplitudes (the bins are about as wide as they are apart, like those of the DFT with the rectangular window);
+ * with the per-key deviations measured by SlidingDFT.pitchTracking, these are used instead, being much more precise.
+ * The cents are relative to the nominal frequency of the nearest key, so the temperament and the pitch fork of the tuning are honored.
+ *
+ * @class Tuner
+ * @example
+ * const tuning = new WerckmeisterTuning(44100, 61, 33, 415.0)
+ * const tuner = new Tuner(tuning.mapping.map(band => band.frequency), 36)
+ * // for every frame of the normalized power levels (& the cents, when the pitch tracking is enabled)
+ * const estimate = tuner.estimate(levels.map(Math.sqrt), pianolizer.cents)
+ * if (estimate !== null) {
+ *   // prints something like "69 441.2 4.7"
+ *   console.log(estimate.note, estimate.frequency, estimate.cents)
+ * }
+ */
+export class Tuner {
+  /**
+   * Creates an instance of Tuner.
+   * @param {Number[]} frequencies Nominal frequency of every key, in Hz (as in the mapping of the Tuning).
+   * @param {Number} firstNote MIDI note number of the first key.
+   * @param {Object} [options={}]
+   * @param {Number} [options.threshold=0] The tones that are not louder than this are ignored.
+   * @memberof Tuner
+   */
+  constructor (frequencies, firstNote, { threshold = 0 } = {}) {
+    this.frequencies = Float64Array.from(frequencies)
+    this.firstNote = firstNote
+    this.threshold = threshold
+  }
+
+  /**
+   * Estimate the pitch of the dominant tone.
+   *
+   * @param {Float32Array} amplitudes Per-key amplitudes (linear, not squared: for instance, the 'sqrt' or 'amplitude' output mode of SlidingDFT).
+   * @param {?Float32Array} [cents=null] Per-key deviations from the nominal frequencies, as in SlidingDFT.cents.
+   * @return {?Object} null when nothing is above the threshold; otherwise, key (index of the nearest key),
+   * note (its MIDI note number), frequency (of the tone, in Hz), target (nominal frequency of the key, in Hz)
+   * & cents (how sharp, positive, or flat, negative, the tone is).
+   * @memberof Tuner
+   */
+  estimate (amplitudes, cents = null) {
+    let loudest = 0
+    for (let key = 1; key < amplitudes.length; key++) {
+      if (amplitudes[key] > amplitudes[loudest]) {
+        loudest = key
+      }
+    }
+    if (!(amplitudes[loudest] > this.threshold)) {
+      return null
+    }
+
+    const frequency = cents === null
+      ? this.interpolate(amplitudes, loudest)
+      : this.frequencies[loudest] * Math.pow(2, cents[loudest] / 1200)
+
+    // the tone may be closer to the neighbor than to the loudest key
+    let key = loudest
+    for (const neighbor of [loudest - 1, loudest + 1]) {
+      if (neighbor >= 0 && neighbor < this.frequencies.length &&
+        Math.abs(Math.log(frequency / this.frequencies[neighbor])) < Math.abs(Math.log(frequency / this.frequencies[key]))) {
+        key = neighbor
+      }
+    }
+
+    const target = this.frequencies[key]
+    return {
+      key,
+      note: this.firstNote + key,
+      frequency,
+      target,
+      cents: 1200 * Math.log2(frequency / target)
+    }
+  }
+
+  /**
+   * Locate the peak between the loudest key and its louder neighbor.
+   *
+   * @param {Float32Array} amplitudes Per-key amplitudes.
+   * @param {Number} key Index of the loudest key.
+   * @return {Number} Frequency, in Hz.
+   * @memberof Tuner
+   */
+  interpolate (amplitudes, key) {
+    const left = key > 0 ? amplitudes[key - 1] : 0
+    const right = key < amplitudes.length - 1 ? amplitudes[key + 1] : 0
+    const neighbor = right >= left ? key + 1 : key - 1
+    const side = Math.max(left, right)
+    if (!(side > 0)) {
+      return this.frequencies[key]
+    }
+    // from 0 (right at the loudest key) to 0.5 (halfway to the neighbor)
+    const offset = side / (amplitudes[key] + side)
+    return this.frequencies[key] * Math.pow(this.frequencies[neighbor] / this.frequencies[key], offset)
+  }
+}
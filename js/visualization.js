@@ -7,11 +7,13 @@ export class Palette {
   /**
    * Creates an instance of Palette.
    * @param {Array} palette RGB tuples; one per semitone.
+   * @param {number} [keyOffset=0] Pitch class of the first key (0 is C), so that the colors stay attached to the notes.
    * @memberof Palette
    */
-  constructor (palette) {
+  constructor (palette, keyOffset = 0) {
     this.palette = palette
     this.startOffset = 0
+    this.keyOffset = keyOffset
   }
 
   /**
@@ -32,6 +34,38 @@ export class Palette {
     this.startOffset = n | 0
   }
 
+  /**
+   * Color of the pitch class, honoring the rotation (so that it matches the keyboard).
+   *
+   * @param {number} pitchClass 0 is C, 11 is B.
+   * @return {Array} RGB tuple.
+   */
+  getPitchClassColor (pitchClass) {
+    return this.palette[(this.startOffset + pitchClass) % this.palette.length]
+  }
+
+  /**
+   * Translate the per-key intensity levels of both stereo channels into packed BGR color values:
+   * the left channel is red, the right one is blue; whatever sounds on both turns whitish.
+   *
+   * @param {Float32Array} leftLevels Normalized intensity values per key, left channel.
+   * @param {Float32Array} rightLevels Normalized intensity values per key, right channel.
+   * @return {Uint32Array} Colors encoded as 0x00BBGGRR values.
+   */
+  getStereoColors (leftLevels, rightLevels) {
+    const levelsNum = leftLevels.length
+    const keyColors = new Uint32Array(levelsNum)
+
+    for (let key = 0; key < levelsNum; key++) {
+      const red = Math.round(leftLevels[key] * 0xff) | 0
+      const blue = Math.round(rightLevels[key] * 0xff) | 0
+      const green = Math.min(red, blue)
+      keyColors[key] = (blue << 16) | (green << 8) | red
+    }
+
+    return keyColors
+  }
+
   /**
    * Translate per-key intensity levels into packed BGR color values.
    *
@@ -44,7 +78,7 @@ export class Palette {
 
     const paletteLength = this.palette.length
     for (let key = 0; key < levelsNum; key++) {
-      const index = this.startOffset + key // start from C
+      const index = this.startOffset + this.keyOffset + key // start from C
       const rgbArray = this.palette[index % paletteLength]
         .map(value => Math.round(levels[key] * value) | 0)
       keyColors[key] = (rgbArray[2] << 16) | (rgbArray[1] << 8) | rgbArray[0]
@@ -64,8 +98,10 @@ export class PianoKeyboard {
    *
    * @param {SVGSVGElement} svgElement SVG container that hosts the keyboard graphics.
    * @param {number} [scale=1] Multiplier applied to key dimensions.
+   * @param {number} [keysNum=61] Number of keys.
+   * @param {number} [firstNote=36] MIDI note number of the lowest key (C2 by default; A0 is 21). Both the lowest and the highest keys must be white.
    */
-  constructor (svgElement, scale = 1) {
+  constructor (svgElement, scale = 1, keysNum = 61, firstNote = 36) {
     this.svgElement = svgElement
     this.scale = scale
 
@@ -81,14 +117,37 @@ export class PianoKeyboard {
     this.ns = 'http://www.w3.org/2000/svg'
     this.keySlices = null
 
-    this.keysNum = 61
+    if (this.isBlack(firstNote) || this.isBlack(firstNote + keysNum - 1)) {
+      throw new RangeError('the keyboard must start and end with white keys')
+    }
+
+    this.keysNum = keysNum
+    this.firstNote = firstNote
     this.keys = new Array(this.keysNum)
     this.labels = new Array(this.keysNum)
-    this.blackOffset = 0
     this.whiteOffset = 0
-    this.whiteIndex = 0 // C2
-    this.startFrom = 0
-    this.startOctave = 2
+    this.startFrom = firstNote % 12 // semitones above C
+    this.startOctave = Math.floor(firstNote / 12) - 1
+    this.whiteIndex = this.whiteTone.filter(tone => tone <= this.startFrom).length
+
+    // align the black keys grid (which starts at C) with the first white key
+    this.blackOffset = 0
+    for (let i = 0; i < this.startFrom; i++) {
+      this.blackOffset += this.blackKeys[i]
+    }
+    for (let i = 0; i < this.whiteIndex; i++) {
+      this.blackOffset -= this.whiteKeys[i]
+    }
+  }
+
+  /**
+   * Check whether the MIDI note is played on a black key.
+   *
+   * @param {number} note MIDI note number.
+   * @return {boolean} True for the sharps.
+   */
+  isBlack (note) {
+    return this.blackTone[note % 12] !== 0
   }
 
   /**
@@ -218,26 +277,52 @@ export class PianoKeyboard {
       }
     }
   }
-}
 
-/*
-export class PianoKeyboardFull extends PianoKeyboard {
-  constructor (svgElement, scale = 1) {
-    super(svgElement, scale)
+  /**
+   * Paint the keyboard, in its current colors, onto a canvas (SVG can't be captured as a video stream).
+   *
+   * @param {CanvasRenderingContext2D} context Target canvas context.
+   * @param {number} [y=0] Vertical offset, in canvas pixels.
+   */
+  drawToCanvas (context, y = 0) {
+    const keyOrder = [...this.keys.keys()]
+      .sort((a, b) => this.isBlack(this.firstNote + a) - this.isBlack(this.firstNote + b))
+    context.save()
+    context.translate(0, y)
+    for (const key of keyOrder) {
+      const keyElement = this.keys[key]
+      context.fillStyle = keyElement.style.fill || '#000'
+      context.strokeStyle = keyElement.style.stroke || this.bgrIntegerToHex(0, this.neutralColor)
+      context.beginPath()
+      context.rect(
+        parseFloat(keyElement.getAttribute('x')),
+        0,
+        parseFloat(keyElement.getAttribute('width')),
+        parseFloat(keyElement.getAttribute('height'))
+      )
+      context.fill()
+      context.stroke()
+    }
 
-    this.keysNum = 88
-    this.keys = new Array(this.keysNum)
-    this.blackOffset = 7 * scale
-    this.whiteOffset = 0
-    this.whiteIndex = 5 // A0
-    this.startFrom = 9
-    this.startOctave = 0
+    context.font = `${12 * this.scale}px monospace`
+    for (const labelElement of this.labels) {
+      if (labelElement !== undefined) {
+        context.fillStyle = labelElement.style.fill || this.bgrIntegerToHex(0, this.neutralColor)
+        context.fillText(
+          labelElement.textContent,
+          parseFloat(labelElement.getAttribute('x')),
+          parseFloat(labelElement.getAttribute('y'))
+        )
+      }
+    }
+    context.restore()
   }
 }
-*/
 
 /**
  * Canvas-based rolling spectrogram tied to piano key layout.
+ * Rows are keyed to the audio time (the bottom row is the current moment), so the time scale doesn't depend on the
+ * refresh rate, and nothing scrolls while the playback is paused. Clicking or dragging seeks to the time of the row.
  */
 export class Spectrogram {
   /**
@@ -246,8 +331,9 @@ export class Spectrogram {
    * @param {HTMLCanvasElement} canvasElement Target canvas for rendering.
    * @param {Uint8Array|number[]} keySlices Pixel widths for each key slice along the x-axis.
    * @param {number} height Total height of the spectrogram in pixels.
+   * @param {number} [secondsPerRow=0.02] Time scale.
    */
-  constructor (canvasElement, keySlices, height) {
+  constructor (canvasElement, keySlices, height, secondsPerRow = 0.02) {
     this.canvasElement = canvasElement
     this.keySlices = keySlices
     this.lastMidiColors = new Uint32Array(keySlices.length)
@@ -260,56 +346,373 @@ export class Spectrogram {
 
     this.context = canvasElement.getContext('2d')
     this.imageData = this.context.createImageData(this.width, this.height)
+    this.buf32 = new Uint32Array(this.imageData.data.buffer)
+
+    // the rows scrolled out of view are kept, so that seeking backwards shows them again
+    this.historySize = 4 * height
+    this.history = new Uint32Array(this.historySize * this.width)
+    this.historyRows = new Float64Array(this.historySize)
+    // drawn on top of the rows (for instance, the grades of the play-along)
+    this.marks = []
+    this.keyOffsets = []
+    for (let key = 0, offset = 0; key < keySlices.length; offset += keySlices[key++]) {
+      this.keyOffsets.push(offset)
+    }
+    this.secondsPerRow = secondsPerRow
 
-    this.bufArray = new ArrayBuffer(this.width * this.height * 4)
-    this.buf8 = new Uint8Array(this.bufArray)
-    this.buf32 = new Uint32Array(this.bufArray)
+    // while dragging, the view stays put, so that the rows don't slip away from under the pointer
+    this.anchorRow = null
+    // invoked with the time (in seconds) of the clicked row
+    this.onseek = null
 
-    canvasElement.onclick = event => {
+    canvasElement.onpointerdown = event => {
       event.preventDefault()
-      const a = document.createElement('a')
-      a.href = canvasElement.toDataURL('image/png')
-      a.download = 'pianolizer.png'
-      a.click()
+      if (event.shiftKey) {
+        this.download()
+        return
+      }
+      canvasElement.setPointerCapture(event.pointerId)
+      this.anchorRow = this.currentRow
+      this.seek(event)
+    }
+    canvasElement.onpointermove = event => {
+      if (this.anchorRow !== null) {
+        this.seek(event)
+      }
     }
+    canvasElement.onpointerup = canvasElement.onpointercancel = event => {
+      this.anchorRow = null
+      this.render()
+    }
+  }
+
+  /**
+   * Seconds per row.
+   *
+   * @return {number}
+   */
+  get secondsPerRow () {
+    return this._secondsPerRow
+  }
+
+  /**
+   * Change the time scale; the history is lost.
+   *
+   * @param {number} value Seconds per row.
+   */
+  set secondsPerRow (value) {
+    this._secondsPerRow = value
+    this.clear()
   }
 
   /**
-   * Scroll existing data up and paint the newest analyzer frame at the bottom.
+   * Forget all the painted rows.
+   */
+  clear () {
+    this.history.fill(0)
+    this.historyRows.fill(-1)
+    this.marks = []
+    this.currentRow = 0
+    this.render()
+  }
+
+  /**
+   * Put a mark over the key at the audio time; it stays as long as the row is in the history.
+   *
+   * @param {number} time Audio time, in seconds.
+   * @param {number} key Key index.
+   * @param {string} color CSS color.
+   */
+  mark (time, key, color) {
+    this.marks.push({ row: Math.floor(time / this.secondsPerRow), key, color })
+    while (this.marks[0].row <= this.currentRow - this.historySize) {
+      this.marks.shift()
+    }
+  }
+
+  /**
+   * Audio time of the row under the pointer.
+   *
+   * @param {number} offsetY Vertical position, in CSS pixels, relative to the canvas.
+   * @return {?number} Seconds; null when nothing was painted there.
+   */
+  timeAt (offsetY) {
+    const y = Math.floor(offsetY * this.height / (this.canvasElement.clientHeight || this.height))
+    const row = (this.anchorRow === null ? this.currentRow : this.anchorRow) - (this.height - 1) + y
+    return row >= 0 && this.historyRows[row % this.historySize] === row
+      ? row * this.secondsPerRow
+      : null
+  }
+
+  /**
+   * Report the time under the pointer to the seek handler.
+   *
+   * @param {PointerEvent} event Pointer position.
+   */
+  seek (event) {
+    const time = this.timeAt(event.offsetY)
+    if (this.onseek !== null && time !== null) {
+      this.onseek(time)
+    }
+  }
+
+  /**
+   * Save the canvas contents as PNG.
+   */
+  download () {
+    const a = document.createElement('a')
+    a.href = this.canvasElement.toDataURL('image/png')
+    a.download = 'pianolizer.png'
+    a.click()
+  }
+
+  /**
+   * Paint the newest analyzer frame at the row of the current audio time, and show the rows up to it.
    *
    * @param {Uint32Array} audioColors Analyzer-derived colors for each key slice.
    * @param {Uint32Array} midiColors MIDI highlight colors for each key slice.
+   * @param {Object} [options] Extras.
+   * @param {?number} [options.time=null] Audio time, in seconds; without it, every call takes a new row.
+   * @param {boolean} [options.beat=false] Brighten the line, so that the beats show up as a grid.
+   * @param {?Uint32Array} [options.rightColors=null] Right channel colors; when set, the audio colors go to the left half of each key slice, and these, to the right one.
    */
-  update (audioColors, midiColors) {
-    // shift the whole buffer 1 line upwards
-    const lastLine = this.width * (this.height - 1)
-    for (let i = 0; i < lastLine; i++) {
-      this.buf32[i] = this.buf32[i + this.width]
+  update (audioColors, midiColors, { time = null, beat = false, rightColors = null } = {}) {
+    const row = time === null
+      ? this.currentRow + 1
+      : Math.floor(time / this.secondsPerRow)
+
+    // fill in the rows skipped since the previous frame (up to a screenful), so that there are no gaps
+    const firstRow = row > this.currentRow && row - this.currentRow <= this.height
+      ? this.currentRow + 1
+      : row
+    for (let r = Math.max(0, firstRow); r <= row; r++) {
+      this.paintRow(r, audioColors, midiColors, beat && r === row, rightColors)
+    }
+    this.currentRow = row
+
+    this.render()
+  }
+
+  /**
+   * Follow the audio time without painting anything (for instance, when seeking while paused).
+   *
+   * @param {number} time Audio time, in seconds.
+   */
+  moveTo (time) {
+    const row = Math.floor(time / this.secondsPerRow)
+    if (row !== this.currentRow) {
+      this.currentRow = row
+      this.render()
     }
+  }
+
+  /**
+   * Paint a single row of the history.
+   *
+   * @param {number} row Row index, counting from the audio time 0.
+   * @param {Uint32Array} audioColors Analyzer-derived colors for each key slice.
+   * @param {Uint32Array} midiColors MIDI highlight colors for each key slice.
+   * @param {boolean} beat Brighten the line.
+   * @param {?Uint32Array} rightColors Right channel colors.
+   */
+  paintRow (row, audioColors, midiColors, beat, rightColors) {
+    const slot = row % this.historySize
+    this.historyRows[slot] = row
 
-    // fill in the bottom line
     const keysNum = this.keySlices.length
-    const alphaOpaque = 0xff000000
-    for (let key = 0, j = lastLine; key < keysNum; key++) {
+    const alphaOpaque = beat ? 0xff404040 : 0xff000000
+    for (let key = 0, j = slot * this.width; key < keysNum; key++) {
       const slice = this.keySlices[key]
       if (this.lastMidiColors[key] !== midiColors[key]) {
         for (let i = 0; i < slice; i++, j++) {
           const bgrInteger = midiColors[key] || this.lastMidiColors[key]
-          this.buf32[j] = alphaOpaque | bgrInteger
+          this.history[j] = alphaOpaque | bgrInteger
         }
         this.lastMidiColors[key] = midiColors[key]
       } else {
         for (let i = 0; i < slice; i++, j++) {
           const bgrInteger = i < 1 || i >= slice - 1
             ? midiColors[key]
-            : audioColors[key]
-          this.buf32[j] = alphaOpaque | bgrInteger
+            : rightColors !== null && i >= slice / 2
+              ? rightColors[key]
+              : audioColors[key]
+          this.history[j] = alphaOpaque | bgrInteger
+        }
+      }
+    }
+  }
+
+  /**
+   * Copy the visible rows from the history to the canvas; while dragging, the current row is marked with a line.
+   */
+  render () {
+    const bottomRow = this.anchorRow === null ? this.currentRow : this.anchorRow
+    for (let y = 0; y < this.height; y++) {
+      const row = bottomRow - (this.height - 1) + y
+      const start = y * this.width
+      if (row === this.currentRow && this.anchorRow !== null) {
+        this.buf32.fill(0xffffffff, start, start + this.width)
+      } else if (row >= 0 && this.historyRows[row % this.historySize] === row) {
+        const slot = row % this.historySize
+        this.buf32.set(this.history.subarray(slot * this.width, (slot + 1) * this.width), start)
+      } else {
+        this.buf32.fill(0xff000000, start, start + this.width)
+      }
+    }
+
+    this.context.putImageData(this.imageData, 0, 0)
+
+    for (const { row, key, color } of this.marks) {
+      const y = row - bottomRow + this.height - 1
+      if (y >= 0 && y < this.height) {
+        this.context.fillStyle = color
+        this.context.fillRect(this.keyOffsets[key], y - 2, this.keySlices[key], 5)
+      }
+    }
+  }
+}
+
+/**
+ * Full-length spectrogram of a whole file, analyzed in advance: the canvas is a viewport that renders only the rows
+ * scrolled into view (one row per analyzed block, earliest at the top), with a cursor at the playback position.
+ */
+export class FullSpectrogram {
+  /**
+   * Create a full-length spectrogram bound to a scrollable container.
+   *
+   * @param {HTMLElement} scrollerElement Scrollable container of the canvas & the spacer.
+   * @param {HTMLCanvasElement} canvasElement Viewport; sticks to the top of the container.
+   * @param {HTMLElement} spacerElement Placeholder that stretches the container to the full length.
+   * @param {Uint8Array|number[]} keySlices Pixel widths for each key slice along the x-axis.
+   * @param {number} height Height of the viewport in pixels (rows).
+   * @param {Palette} palette Colors of the keys; the rotation applies.
+   */
+  constructor (scrollerElement, canvasElement, spacerElement, keySlices, height, palette) {
+    this.scrollerElement = scrollerElement
+    this.canvasElement = canvasElement
+    this.spacerElement = spacerElement
+    this.keySlices = keySlices
+    this.palette = palette
+
+    this.width = keySlices.reduce((a, b) => a + b)
+    this.height = height
+    canvasElement.width = this.width
+    canvasElement.height = this.height
+
+    this.context = canvasElement.getContext('2d')
+    this.imageData = this.context.createImageData(this.width, this.height)
+    this.buf32 = new Uint32Array(this.imageData.data.buffer)
+
+    this.levels = new Float32Array(0)
+    this.rows = 0
+    this.rowDuration = 1
+    this.cursorRow = -1
+    this.renderedState = null
+
+    // invoked with the time (in seconds) of the clicked row
+    this.onseek = null
+
+    scrollerElement.onscroll = () => this.render()
+    canvasElement.onclick = event => {
+      event.preventDefault()
+      const row = this.topRow + Math.floor(event.offsetY / this.scale)
+      if (this.onseek !== null && row < this.rows) {
+        this.onseek(row * this.rowDuration)
+      }
+    }
+  }
+
+  /**
+   * CSS pixels per canvas pixel, as the canvas is scaled to fit the page.
+   *
+   * @return {number}
+   */
+  get scale () {
+    return (this.canvasElement.clientWidth / this.width) || 1
+  }
+
+  /**
+   * First row in the viewport.
+   *
+   * @return {number}
+   */
+  get topRow () {
+    return Math.round(this.scrollerElement.scrollTop / this.scale)
+  }
+
+  /**
+   * Replace the analyzed data.
+   *
+   * @param {Float32Array} levels Normalized intensity values; keysNum per row.
+   * @param {number} rowDuration Seconds per row.
+   */
+  load (levels, rowDuration) {
+    this.levels = levels
+    this.rows = levels.length / this.keySlices.length
+    this.rowDuration = rowDuration
+    this.scrollerElement.scrollTop = 0
+    this.resize()
+  }
+
+  /**
+   * Fit the scrollable area to the displayed size of the canvas (call it when the page layout changes).
+   */
+  resize () {
+    const scale = this.scale
+    this.scrollerElement.style.height = `${this.height * scale}px`
+    this.spacerElement.style.height = `${Math.max(0, this.rows - this.height) * scale}px`
+    this.renderedState = null
+    this.render()
+  }
+
+  /**
+   * Move the cursor to the playback position.
+   *
+   * @param {number} time Playback position, in seconds.
+   * @param {boolean} [follow=false] Scroll along, so that the cursor stays at the bottom of the viewport (like in the live spectrogram).
+   */
+  update (time, follow = false) {
+    this.cursorRow = Math.min(Math.floor(time / this.rowDuration), this.rows - 1)
+    if (follow) {
+      const topRow = Math.max(0, this.cursorRow - this.height + 1)
+      if (topRow !== this.topRow) {
+        this.scrollerElement.scrollTop = topRow * this.scale
+      }
+    }
+    this.render()
+  }
+
+  /**
+   * Paint the rows within the viewport, unless nothing changed since the last time.
+   */
+  render () {
+    const topRow = this.topRow
+    const state = `${topRow} ${this.cursorRow} ${this.palette.rotation}`
+    if (state === this.renderedState) {
+      return
+    }
+    this.renderedState = state
+
+    const keysNum = this.keySlices.length
+    const alphaOpaque = 0xff000000
+    for (let y = 0, j = 0; y < this.height; y++) {
+      const row = topRow + y
+      if (row === this.cursorRow) {
+        this.buf32.fill(0xffffffff, j, j + this.width)
+        j += this.width
+      } else if (row >= this.rows) {
+        this.buf32.fill(alphaOpaque, j, j + this.width)
+        j += this.width
+      } else {
+        const keyColors = this.palette.getKeyColors(this.levels.subarray(row * keysNum, (row + 1) * keysNum))
+        for (let key = 0; key < keysNum; key++) {
+          const slice = this.keySlices[key]
+          this.buf32.fill(alphaOpaque | keyColors[key], j, j + slice)
+          j += slice
         }
       }
     }
 
-    // render
-    this.imageData.data.set(this.buf8)
     this.context.putImageData(this.imageData, 0, 0)
   }
 }